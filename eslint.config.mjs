@@ -22,4 +22,15 @@ export default [{
         "constructor-super": "warn",
         "valid-typeof": "warn",
     },
+}, {
+    // Scripts that run in the webview
+    files: ["media/**/*.js"],
+    languageOptions: {
+        globals: {
+            ...globals.browser,
+            acquireVsCodeApi: "readonly",
+        },
+
+        sourceType: "script",
+    },
 }];
\ No newline at end of file
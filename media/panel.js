@@ -0,0 +1,409 @@
+// Runs in the webview. No inline scripts or handlers are allowed by the
+// content security policy, so everything is wired up here.
+const vscode = acquireVsCodeApi();
+
+// Values the page was rendered with, in a JSON block that is never executed
+const initialState = JSON.parse(document.getElementById('panelState').textContent);
+
+// The extension formats the text and writes it to the clipboard
+function copy(target) {
+    flushQuestion();
+    vscode.postMessage({ command: 'copy', target });
+}
+
+// Visual feedback once the text is on the clipboard
+function flashCopyButton(target) {
+    const button = document.querySelector(`[data-target="${CSS.escape(target)}"]`);
+    if (!button) {
+        return;
+    }
+    button.classList.add('flashed');
+    setTimeout(() => {
+        button.classList.remove('flashed');
+    }, 200);
+}
+
+// Copy buttons name what they copy in data-target, other buttons the message
+// they send in data-command. Listens on the document so buttons in replaced
+// HTML keep working.
+document.addEventListener('click', (e) => {
+    // The extension rescans and renders the page for the tab
+    const closeButton = e.target.closest('[data-close-source]');
+    if (closeButton) {
+        vscode.postMessage({ command: 'closeSource', source: closeButton.dataset.closeSource });
+        return;
+    }
+    const sourceTab = e.target.closest('[data-source]');
+    if (sourceTab) {
+        vscode.postMessage({ command: 'selectSource', source: sourceTab.dataset.source });
+        return;
+    }
+    const copyButton = e.target.closest('[data-target]');
+    if (copyButton) {
+        copy(copyButton.dataset.target);
+        return;
+    }
+    const commandButton = e.target.closest('[data-command]');
+    if (commandButton) {
+        flushQuestion();
+        vscode.postMessage({ command: commandButton.dataset.command });
+    }
+});
+
+const modelSelector = document.getElementById('modelSelector');
+
+// Tokens are recounted with the model's encoding by the extension
+modelSelector.addEventListener('change', (e) => {
+    vscode.postMessage({ command: 'selectModel', model: e.target.value });
+});
+
+document.getElementById('formatSelector').addEventListener('change', (e) => {
+    vscode.postMessage({ command: 'selectFormat', format: e.target.value });
+});
+
+// The question fills the template's {{userQuestion}}; templates without
+// one, and no template, leave it for Send to add after the prompt
+const questionBox = document.getElementById('userQuestion');
+const templateSelector = document.getElementById('templateSelector');
+function labelQuestionBox() {
+    questionBox.placeholder = templateSelector.selectedOptions[0].dataset.question === 'true'
+        ? 'Question or task for the template'
+        : 'Question or task that Send adds after the prompt';
+}
+labelQuestionBox();
+templateSelector.addEventListener('change', (e) => {
+    labelQuestionBox();
+    vscode.postMessage({ command: 'selectTemplate', template: e.target.value });
+});
+
+// A panel action that failed, cleared by the next update
+const actionError = document.getElementById('actionError');
+const responseContainer = document.getElementById('responseContainer');
+const responseText = document.getElementById('responseText');
+const sendButton = document.getElementById('sendButton');
+const stopButton = document.getElementById('stopButton');
+sendButton.addEventListener('click', () => {
+    flushQuestion();
+    vscode.postMessage({ command: 'send' });
+});
+stopButton.addEventListener('click', () => {
+    vscode.postMessage({ command: 'cancelSend' });
+});
+
+// Streamed text is added as text, never parsed as HTML
+function showResponse(message) {
+    if (message.command === 'responseStart') {
+        responseContainer.hidden = false;
+        responseText.textContent = '';
+        responseText.classList.remove('response-error');
+        sendButton.disabled = true;
+        stopButton.hidden = false;
+    } else if (message.command === 'responseText') {
+        responseText.textContent += message.text;
+        return;
+    } else {
+        sendButton.disabled = false;
+        stopButton.hidden = true;
+        if (message.error) {
+            responseText.classList.add('response-error');
+            responseText.textContent += (responseText.textContent ? '\n\n' : '') + message.error;
+        }
+    }
+    document.getElementById('responseUsage').innerHTML = message.usage;
+}
+
+// Saved shortly after typing stops, or right away when copying
+let questionTimer = null;
+function flushQuestion() {
+    if (questionTimer !== null) {
+        clearTimeout(questionTimer);
+        questionTimer = null;
+        vscode.postMessage({ command: 'setQuestion', question: questionBox.value });
+    }
+}
+questionBox.addEventListener('input', () => {
+    clearTimeout(questionTimer);
+    questionTimer = setTimeout(flushQuestion, 300);
+});
+
+// The extension applies the profile's settings and rescans
+const profileSelector = document.getElementById('profileSelector');
+if (profileSelector) {
+    profileSelector.addEventListener('change', (e) => {
+        vscode.postMessage({ command: 'selectProfile', profile: e.target.value });
+    });
+}
+
+const rootSelector = document.getElementById('rootSelector');
+if (rootSelector) {
+    rootSelector.addEventListener('change', (e) => {
+        vscode.postMessage({ command: 'selectRoot', root: e.target.value });
+    });
+}
+
+// The extension asks for the ref or commit count before rescanning
+document.getElementById('gitModeSelector').addEventListener('change', (e) => {
+    vscode.postMessage({ command: 'selectGitMode', mode: e.target.value });
+});
+
+document.getElementById('partSelector').addEventListener('change', (e) => {
+    vscode.postMessage({ command: 'setPartTokens', maxTokens: Number(e.target.value) });
+});
+
+document.getElementById('budgetSelector').addEventListener('change', (e) => {
+    vscode.postMessage({ command: 'setBudget', maxTokens: Number(e.target.value) });
+});
+
+const structureElement = document.getElementById('structure');
+let treeElement = structureElement.querySelector('.tree');
+
+// Files left out by the token budget stay in the tree, greyed out
+function markOmitted(omitted) {
+    const reasons = new Map(omitted.map(file => [file.path, file.reason]));
+    treeElement.querySelectorAll('.file-checkbox').forEach(box => {
+        const label = box.closest('label');
+        const reason = reasons.get(box.dataset.path);
+        label.classList.toggle('omitted', reason !== undefined);
+        label.title = reason ? 'Omitted: ' + reason : '';
+    });
+}
+
+// A folder is checked when all of its files are and indeterminate when some are
+function updateFolderStates() {
+    treeElement.querySelectorAll('.folder-checkbox').forEach(folder => {
+        const files = [...folder.closest('li').querySelectorAll('.file-checkbox')];
+        const checkedCount = files.filter(file => file.checked).length;
+        folder.checked = checkedCount === files.length;
+        folder.indeterminate = checkedCount > 0 && checkedCount < files.length;
+    });
+}
+
+// Size and tokens of the selected files per folder, colored by their share
+let folderHeat = initialState.folderHeat;
+function markHeat() {
+    const byPath = new Map(folderHeat.map(folder => [folder.path, folder]));
+    treeElement.querySelectorAll('summary[data-folder]').forEach(summary => {
+        const heat = byPath.get(summary.dataset.folder);
+        const badge = summary.querySelector('.folder-heat');
+        badge.textContent = heat ? heat.label : '';
+        badge.style.backgroundColor = heat ? heat.color : '';
+    });
+}
+
+// The bars are sized here since the policy blocks style attributes
+function sizeShareBars() {
+    statsContainer.querySelectorAll('.share-bar').forEach(bar => {
+        bar.style.width = bar.dataset.width + 'px';
+        bar.style.backgroundColor = bar.dataset.color;
+    });
+}
+
+// Clicking a column sorts by it, clicking it again reverses the order
+const statsContainer = document.getElementById('statsContainer');
+let statsSort = { key: 'tokens', type: 'number', descending: true };
+function sortStats() {
+    const body = statsContainer.querySelector('tbody');
+    const rows = [...body.querySelectorAll('tr')];
+    const { key, type, descending } = statsSort;
+    rows.sort((a, b) => {
+        const order = type === 'number'
+            ? Number(a.dataset[key]) - Number(b.dataset[key])
+            : a.dataset[key].localeCompare(b.dataset[key]);
+        return descending ? -order : order;
+    });
+    rows.forEach(row => body.appendChild(row));
+}
+sizeShareBars();
+statsContainer.addEventListener('click', (e) => {
+    const header = e.target.closest('th[data-sort]');
+    if (!header) {
+        return;
+    }
+    const key = header.dataset.sort;
+    statsSort = {
+        key,
+        type: header.dataset.type,
+        // Numbers start with the largest, text from A
+        descending: statsSort.key === key ? !statsSort.descending : header.dataset.type === 'number'
+    };
+    sortStats();
+});
+
+// Narrows the tree and File Details to the files the filter matches;
+// the extension works out the matches
+const filterBox = document.getElementById('filterBox');
+const filterMode = document.getElementById('filterMode');
+const filterOnly = document.getElementById('filterOnly');
+const filterStatus = document.getElementById('filterStatus');
+let currentFilter = initialState.filter;
+let filterTimer;
+function sendFilter() {
+    clearTimeout(filterTimer);
+    vscode.postMessage({
+        command: 'setFilter',
+        filter: { mode: filterMode.value, pattern: filterBox.value.trim(), only: filterOnly.checked }
+    });
+}
+filterBox.addEventListener('input', () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(sendFilter, 300);
+});
+filterMode.addEventListener('change', sendFilter);
+filterOnly.addEventListener('change', sendFilter);
+
+// Wraps matches of the regular expression in <mark>, up to a limit
+// so a pattern matching every character cannot freeze the panel
+function highlight(element, regex, limit) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('.file-tokens')) {
+            nodes.push(walker.currentNode);
+        }
+    }
+    for (const node of nodes) {
+        const text = node.textContent;
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        let match;
+        regex.lastIndex = 0;
+        while (limit > 0 && (match = regex.exec(text)) !== null) {
+            if (match[0] === '') {
+                regex.lastIndex++;
+                continue;
+            }
+            const mark = document.createElement('mark');
+            mark.textContent = match[0];
+            fragment.append(text.slice(last, match.index), mark);
+            last = match.index + match[0].length;
+            limit--;
+        }
+        if (last > 0) {
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        }
+    }
+    return limit;
+}
+
+function applyFilter() {
+    const matches = currentFilter ? new Set(currentFilter.paths) : null;
+    filterStatus.classList.remove('error');
+    filterStatus.textContent = '';
+    if (treeElement) {
+        const files = [...treeElement.querySelectorAll('li[data-path]')];
+        files.forEach(item => {
+            const match = matches !== null && matches.has(item.dataset.path);
+            item.hidden = matches !== null && !match;
+            item.querySelector('.file-name').classList.toggle('filter-match', match);
+        });
+        // Folders go after their subfolders, so hidden ones count as empty
+        [...treeElement.querySelectorAll('li:not([data-path])')].reverse().forEach(item => {
+            item.hidden = matches !== null && !item.querySelector('li[data-path]:not([hidden])');
+        });
+        if (matches) {
+            filterStatus.textContent = matches.size + ' of ' + files.length + ' files match';
+        }
+    }
+    const blocks = [...document.querySelectorAll('#fileContents .file-content')];
+    blocks.forEach(block => {
+        block.hidden = matches !== null && !matches.has(block.dataset.path);
+    });
+    if (currentFilter && currentFilter.mode === 'content') {
+        const regex = new RegExp(currentFilter.pattern, 'gi');
+        let limit = 2000;
+        blocks.filter(block => !block.hidden).forEach(block => {
+            limit = highlight(block, regex, limit);
+        });
+    }
+}
+
+// Clicking a file's name shows its section in File Details, or opens
+// the file when it has none; Ctrl or Cmd+click always opens it
+structureElement.addEventListener('click', (e) => {
+    const name = e.target.closest('.file-name');
+    if (!name) {
+        return;
+    }
+    // Keeps the label from toggling the checkbox
+    e.preventDefault();
+    const filePath = name.closest('li').dataset.path;
+    const block = [...document.querySelectorAll('#fileContents .file-content')]
+        .find(candidate => candidate.dataset.path === filePath && !candidate.hidden);
+    if (!block || e.ctrlKey || e.metaKey) {
+        vscode.postMessage({ command: 'openFile', path: filePath });
+        return;
+    }
+    block.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    block.classList.add('flash');
+    setTimeout(() => block.classList.remove('flash'), 1000);
+});
+
+applyFilter();
+
+if (treeElement) {
+    updateFolderStates();
+    markHeat();
+    markOmitted(initialState.omitted);
+}
+
+// Listens on the container so it keeps working when the tree is replaced
+structureElement.addEventListener('change', (e) => {
+    const box = e.target;
+    const files = box.classList.contains('folder-checkbox')
+        ? [...box.closest('li').querySelectorAll('.file-checkbox')]
+        : [box];
+    files.forEach(file => {
+        file.checked = box.checked;
+    });
+    updateFolderStates();
+
+    vscode.postMessage({
+        command: 'setSelection',
+        paths: files.map(file => file.dataset.path),
+        selected: box.checked
+    });
+});
+
+// Summary and contents for a new selection or format, without reloading the page
+window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message.command === 'copied') {
+        flashCopyButton(message.target);
+    } else if (message.command.startsWith('response')) {
+        showResponse(message);
+    } else if (message.command === 'actionError') {
+        actionError.textContent = message.message;
+        actionError.hidden = false;
+        // A Send that failed before streaming leaves nothing to stop
+        sendButton.disabled = false;
+        stopButton.hidden = true;
+    } else if (message.command === 'filterError') {
+        filterStatus.textContent = message.message;
+        filterStatus.classList.add('error');
+    } else if (message.command === 'parts') {
+        document.getElementById('partsContainer').innerHTML = message.parts;
+    } else if (message.command === 'update') {
+        actionError.hidden = true;
+        if (message.tree !== null) {
+            document.getElementById('treeContainer').innerHTML = message.tree;
+            treeElement = structureElement.querySelector('.tree');
+            if (treeElement) {
+                updateFolderStates();
+            }
+        }
+        document.querySelector('.summary-container').innerHTML = message.summary;
+        document.getElementById('fileContents').innerHTML = message.contents;
+        document.getElementById('partsContainer').innerHTML = message.parts;
+        statsContainer.innerHTML = message.stats;
+        sortStats();
+        sizeShareBars();
+        folderHeat = message.heat;
+        if (treeElement) {
+            markHeat();
+            markOmitted(message.omitted);
+        }
+        currentFilter = message.filter;
+        applyFilter();
+    }
+});
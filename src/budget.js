@@ -0,0 +1,124 @@
+const ignore = require('ignore');
+const { countTokens, truncateToTokens } = require('./tokenizer');
+
+const defaultPriority = ['pinned', 'openEditors', 'entryPoints', 'recent', 'small'];
+
+// Files this small are dropped rather than truncated to a stub
+const minTruncatedTokens = 200;
+
+function toPosix(relativePath) {
+    return relativePath.replace(/\\/g, '/');
+}
+
+function patternMatcher(patterns) {
+    if (!patterns || patterns.length === 0) {
+        return () => false;
+    }
+    const matcher = ignore().add(patterns);
+    return relativePath => matcher.ignores(toPosix(relativePath));
+}
+
+// Each priority turns a file into a sort key; lower keys are kept first
+function rankingKeys(priority, options) {
+    const isPinned = patternMatcher(options.pinned);
+    const isEntryPoint = patternMatcher(options.entryPoints);
+    const openEditors = new Set((options.openEditors || []).map(toPosix));
+
+    const keys = {
+        pinned: file => (isPinned(file.path) ? 0 : 1),
+        openEditors: file => (openEditors.has(toPosix(file.path)) ? 0 : 1),
+        entryPoints: file => (isEntryPoint(file.path) ? 0 : 1),
+        recent: file => -(file.mtime || 0),
+        small: file => file.tokens
+    };
+    return priority.filter(name => keys[name]).map(name => keys[name]);
+}
+
+function rankFiles(files, options = {}) {
+    const keys = rankingKeys(options.priority || defaultPriority, options);
+    return files
+        .map((file, index) => ({ file, index, rank: keys.map(key => key(file)) }))
+        .sort((a, b) => {
+            for (let i = 0; i < a.rank.length; i++) {
+                if (a.rank[i] !== b.rank[i]) {
+                    return a.rank[i] - b.rank[i];
+                }
+            }
+            return a.index - b.index;
+        })
+        .map(entry => entry.file);
+}
+
+// Cuts a file down to maxTokens. A git diff is kept whole while the content
+// is cut, unless the diff alone is too large.
+function truncateFile(file, maxTokens, model) {
+    if (!file.diff) {
+        return { content: truncateToTokens(file.content, maxTokens, model) };
+    }
+    const diffTokens = countTokens(file.diff, model);
+    if (diffTokens >= maxTokens || !file.content) {
+        return { content: '', diff: truncateToTokens(file.diff, maxTokens, model) };
+    }
+    return { content: truncateToTokens(file.content, maxTokens - diffTokens, model), diff: file.diff };
+}
+
+function truncationNotice(omittedTokens, totalTokens) {
+    return `\n... [truncated by VSingest: ${omittedTokens} of ${totalTokens} tokens omitted]`;
+}
+
+// Keeps the highest ranked files whose tokens fit into maxTokens. A file that
+// does not fit is truncated when enough room is left, otherwise omitted, and
+// smaller files further down the ranking still get a chance. The kept files
+// come back in their original order.
+// The rest of the prompt counts too: `reserved` tokens, like the tree, are
+// set aside first, and frameTokens(file) gives what the output format adds
+// around a file.
+function fitToBudget(files, options) {
+    const { maxTokens, model = null, truncate = true, reserved = 0, frameTokens = () => 0 } = options;
+    const kept = new Map();
+    const omitted = [];
+    const truncated = [];
+    let remaining = Math.max(maxTokens - reserved, 0);
+
+    rankFiles(files, options).forEach(file => {
+        const frame = frameTokens(file);
+        // The notice is measured with the largest numbers it can show
+        const room = remaining - frame - countTokens(truncationNotice(file.tokens, file.tokens), model);
+        if (file.tokens + frame <= remaining) {
+            kept.set(file, file);
+            remaining -= file.tokens + frame;
+        } else if (truncate && room >= minTruncatedTokens) {
+            const cut = truncateFile(file, room, model);
+            const notice = truncationNotice(file.tokens - room, file.tokens);
+            if (cut.content || cut.diff === undefined) {
+                cut.content += notice;
+            } else {
+                cut.diff += notice;
+            }
+            const tokens = room + countTokens(notice, model);
+            kept.set(file, { ...file, ...cut, tokens, truncated: true });
+            truncated.push({ path: file.path, tokens: file.tokens, keptTokens: room });
+            remaining = 0;
+        } else {
+            omitted.push({
+                path: file.path,
+                tokens: file.tokens,
+                reason: remaining === 0
+                    ? 'budget used up by higher priority files'
+                    : `needs ${file.tokens + frame} tokens, ${remaining} left`
+            });
+        }
+    });
+
+    return {
+        files: files.filter(file => kept.has(file)).map(file => kept.get(file)),
+        omitted,
+        truncated
+    };
+}
+
+module.exports = {
+    defaultPriority,
+    rankFiles,
+    fitToBudget
+};
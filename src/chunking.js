@@ -0,0 +1,189 @@
+const { countTokens, truncateToTokens } = require('./tokenizer');
+
+// Parts smaller than this cannot hold a file header plus useful content
+const minPartTokens = 500;
+
+// Lines a piece of a file prefers to start at: top-level declarations and
+// blank lines in content, file and hunk headers in diffs
+const contentBoundary = /^(\s*$|[^\s)\]}])/;
+const diffBoundary = /^(@@|diff --git )/;
+
+function partHeader(index, count) {
+    return index === count - 1
+        ? `Part ${index + 1}/${count} — this is the last part, answer now.\n\n`
+        : `Part ${index + 1}/${count} — reply OK until the last part.\n\n`;
+}
+
+// Splits text into pieces of at most maxTokens, cutting at the last boundary
+// line once a piece is at least half full, else at any line. A line longer
+// than maxTokens on its own is cut mid-line. Returns { text, start, end }
+// with 1-based line numbers.
+function splitLines(text, maxTokens, boundary, model) {
+    const lines = text.split('\n');
+    const pieces = [];
+    let start = 0;
+    let tokens = 0;
+    let cut = -1;
+
+    const push = end => {
+        pieces.push({ text: lines.slice(start, end).join('\n'), start: start + 1, end });
+        start = end;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineTokens = countTokens(lines[i] + '\n', model);
+        if (lineTokens > maxTokens) {
+            if (i > start) {
+                push(i);
+            }
+            let rest = lines[i];
+            while (rest) {
+                // A cut inside a multi-byte character decodes to U+FFFD
+                const piece = truncateToTokens(rest, maxTokens, model).replace(/\uFFFD+$/, '') || rest.slice(0, 1);
+                pieces.push({ text: piece, start: i + 1, end: i + 1 });
+                rest = rest.slice(piece.length);
+            }
+            start = i + 1;
+            tokens = 0;
+            cut = -1;
+            continue;
+        }
+        if (tokens + lineTokens > maxTokens) {
+            if (cut > start) {
+                push(cut);
+                tokens = lines.slice(start, i).reduce((sum, line) => sum + countTokens(line + '\n', model), 0);
+            }
+            if (tokens + lineTokens > maxTokens && i > start) {
+                push(i);
+                tokens = 0;
+            }
+            cut = -1;
+        }
+        if (i > start && boundary.test(lines[i]) && tokens >= maxTokens / 2) {
+            cut = i;
+        }
+        tokens += lineTokens;
+    }
+    if (start < lines.length) {
+        push(lines.length);
+    }
+    return pieces;
+}
+
+// Pieces of a file too large for one part: its content by line ranges, then
+// its diff by hunks, each at most `room` tokens before formatting. Each piece
+// renders like a file of its own.
+function splitFile(file, room, model) {
+    const pieces = [];
+    if (file.content) {
+        splitLines(file.content, room, contentBoundary, model).forEach(piece => {
+            pieces.push({ ...file, content: piece.text, diff: null, lines: { start: piece.start, end: piece.end } });
+        });
+    }
+    if (file.diff) {
+        splitLines(file.diff, room, diffBoundary, model).forEach(piece => {
+            pieces.push({ ...file, content: '', diff: piece.text, lines: null });
+        });
+    }
+    return pieces;
+}
+
+// Splits a prompt into parts of at most maxTokens to paste one message at a
+// time. Each part wraps its files in the formatter's header and footer, so
+// XML and JSON parts stand on their own; the tree goes into the first part.
+// `before` and `after` are template text around the files. Files are kept
+// whole when they fit into a part. Returns [{ text, tokens }], a single
+// part without a header when everything fits. Throws when the tree and
+// template text do not fit into a part on their own.
+function splitIntoParts(formatter, { structure, files, includeTree = false, before = '', after = '' }, options) {
+    const { maxTokens, model = null } = options;
+    if (maxTokens < minPartTokens) {
+        throw new Error(`Parts need at least ${minPartTokens} tokens`);
+    }
+    const count = text => countTokens(text, model);
+    const firstHeader = formatter.header({ structure, includeTree });
+    const header = formatter.header({ structure, includeTree: false });
+    // A custom footer can repeat the tree, which only the last part needs
+    const footer = formatter.footer({ structure, includeTree: false });
+    const lastFooter = formatter.footer({ structure, includeTree });
+    const separatorTokens = count(formatter.separator);
+    const overhead = count(partHeader(98, 99)) + count(header) + count(footer) + separatorTokens;
+
+    const parts = [];
+    let part = null;
+    const startPart = () => {
+        const prefix = parts.length === 0 ? (before ? `${before}\n\n` : '') + firstHeader : header;
+        part = { prefix, blocks: [], tokens: overhead + count(prefix) - count(header) };
+        parts.push(part);
+    };
+    const room = () => maxTokens - part.tokens;
+    startPart();
+    // The tree and the template text are not split, so they must fit on their own
+    if (part.tokens > maxTokens) {
+        throw new Error(`The first part needs ${part.tokens} tokens for the tree and template text alone, more than the ${maxTokens} a part may have`);
+    }
+
+    files.forEach((file, index) => {
+        const measurePieces = pieces => pieces.map(piece => {
+            const block = formatter.file(piece, index);
+            return { block, tokens: count(block) + separatorTokens };
+        });
+        const block = formatter.file(file, index);
+        const tokens = count(block) + separatorTokens;
+        if (tokens > room() && part.blocks.length > 0) {
+            startPart();
+        }
+        if (tokens <= room()) {
+            part.blocks.push(block);
+            part.tokens += tokens;
+            return;
+        }
+        // Too large for an empty part, so it is cut into pieces that fill parts
+        const wrapper = formatter.file({ ...file, content: 'x', diff: file.diff ? 'x' : null, lines: { start: 99999, end: 99999 } }, index);
+        const wrapperTokens = count(wrapper) + separatorTokens;
+        if (room() - wrapperTokens < minPartTokens / 2) {
+            startPart();
+        }
+        // Escaping, as in JSON, makes the formatted text longer than the raw one
+        const rawTokens = count(file.content || '') + count(file.diff || '');
+        const growth = Math.max(1, (tokens - wrapperTokens) / Math.max(1, rawTokens));
+        const limit = room();
+        let pieceRoom = Math.floor((limit - wrapperTokens) / growth);
+        let pieces = measurePieces(splitFile(file, pieceRoom, model));
+        // Some pieces grow more than the average, so they are measured as
+        // formatted and the file is split smaller until each one fits
+        let largest = Math.max(...pieces.map(piece => piece.tokens));
+        while (largest > limit && pieceRoom > 1) {
+            pieceRoom = Math.max(1, Math.min(pieceRoom - 1, Math.floor(pieceRoom * (limit - wrapperTokens) / (largest - wrapperTokens))));
+            pieces = measurePieces(splitFile(file, pieceRoom, model));
+            largest = Math.max(...pieces.map(piece => piece.tokens));
+        }
+        pieces.forEach(piece => {
+            if (piece.tokens > room() && part.blocks.length > 0) {
+                startPart();
+            }
+            part.blocks.push(piece.block);
+            part.tokens += piece.tokens;
+        });
+    });
+
+    const suffix = lastFooter + (after ? `\n\n${after}` : '');
+    if (part.tokens - count(footer) + count(suffix) > maxTokens && part.blocks.length > 0) {
+        startPart();
+    }
+    if (part.tokens - count(footer) + count(suffix) > maxTokens) {
+        throw new Error(`The last part needs ${part.tokens - count(footer) + count(suffix)} tokens for the template text after the files alone, more than the ${maxTokens} a part may have`);
+    }
+
+    return parts.map((current, index) => {
+        const body = current.prefix + current.blocks.join(formatter.separator)
+            + (index === parts.length - 1 ? suffix : footer);
+        const text = parts.length === 1 ? body : partHeader(index, parts.length) + body;
+        return { text, tokens: count(text) };
+    });
+}
+
+module.exports = {
+    minPartTokens,
+    splitIntoParts
+};
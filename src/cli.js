@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+const path = require('path');
+const fs = require('fs').promises;
+const { ingest } = require('./engine');
+const { formatters } = require('./formatters');
+const { levels: compressionLevels } = require('./compression');
+const { modes: gitModes } = require('./git');
+const { freeEncoders } = require('./tokenizer');
+const { profilesPath, profileError, readProfiles } = require('./profiles');
+
+const usage = `Usage: vsingest [folder...] [options]
+
+Prints the prompt for the given folders, the current one by default.
+
+Options:
+  -f, --format <name>       ${Object.keys(formatters).join(', ')} (default plain)
+  -m, --model <id>          model whose tokenizer counts the tokens
+  -b, --budget <tokens>     keep the most important files within this many tokens, e.g. 100k
+  -o, --output <file>       write the prompt to a file instead of printing it
+  -p, --profile <name>      start from a profile in the first folder's ${profilesPath.split(path.sep).join('/')}
+  -i, --include <pattern>   only files matching a gitignore-style pattern, repeatable
+  -e, --exclude <pattern>   leave out files matching a gitignore-style pattern, repeatable
+  -c, --compress <level>    ${Object.keys(compressionLevels).join(', ')} (default none)
+  -t, --template <id>       wrap the files in a prompt template
+  -q, --question <text>     the {{userQuestion}} of the template
+      --git <mode>          only changed files: ${Object.keys(gitModes).join(', ')}
+      --ref <ref>           ref to compare against in ref mode (default main)
+      --commits <count>     number of commits in commits mode (default 1)
+      --display <mode>      full, diff or both for changed files (default full)
+      --max-file-size <kb>  skip larger files, 0 for no limit (default 1024)
+      --no-gitignore        do not read .gitignore and .ignore files
+      --no-redact           keep secrets instead of redacting them
+  -h, --help                show this help`;
+
+// Options that take a value, by every name they can be given with
+const valueOptions = {
+    '-f': 'format', '--format': 'format',
+    '-m': 'model', '--model': 'model',
+    '-b': 'budget', '--budget': 'budget',
+    '-o': 'output', '--output': 'output',
+    '-p': 'profile', '--profile': 'profile',
+    '-i': 'include', '--include': 'include',
+    '-e': 'exclude', '--exclude': 'exclude',
+    '-c': 'compress', '--compress': 'compress',
+    '-t': 'template', '--template': 'template',
+    '-q': 'question', '--question': 'question',
+    '--git': 'git',
+    '--ref': 'ref',
+    '--commits': 'commits',
+    '--display': 'display',
+    '--max-file-size': 'maxFileSize'
+};
+
+// Token counts like 8000, 100k or 1.5m
+function parseTokens(value) {
+    const match = /^(\d+(?:\.\d+)?)([km]?)$/i.exec(value.trim());
+    if (!match) {
+        throw new Error(`Expected a token count like 8000 or 100k, got "${value}"`);
+    }
+    const multiplier = { '': 1, k: 1_000, m: 1_000_000 }[match[2].toLowerCase()];
+    return Math.round(Number(match[1]) * multiplier);
+}
+
+function parseCount(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${name} must be a whole number, got "${value}"`);
+    }
+    return Number(value);
+}
+
+function oneOf(value, allowed, name) {
+    if (!allowed.includes(value)) {
+        throw new Error(`Unknown ${name} "${value}", expected one of ${allowed.join(', ')}`);
+    }
+    return value;
+}
+
+// The named profile from the folder's profiles file; throws when it is
+// missing or invalid
+function loadProfile(folder, name) {
+    const { profiles, error } = readProfiles(path.resolve(folder));
+    if (error) {
+        throw new Error(error);
+    }
+    if (!profiles[name]) {
+        const names = Object.keys(profiles);
+        throw new Error(`No profile "${name}" in ${path.join(folder, profilesPath)}`
+            + (names.length > 0 ? `, expected one of ${names.join(', ')}` : ''));
+    }
+    const invalid = profileError(profiles[name]);
+    if (invalid) {
+        throw new Error(invalid);
+    }
+    return profiles[name];
+}
+
+// Turns the command line into the folders and ingest() options. Options
+// given on the command line win over the profile's; globs add up.
+function parseArgs(args) {
+    const folders = [];
+    const values = { include: [], exclude: [] };
+    const flags = { gitignore: true, redact: true, help: false };
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        let value = null;
+        // --name=value
+        const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        if (equals !== -1) {
+            value = arg.slice(equals + 1);
+            arg = arg.slice(0, equals);
+        }
+        if (valueOptions[arg]) {
+            if (value === null) {
+                if (i + 1 >= args.length) {
+                    throw new Error(`${arg} needs a value`);
+                }
+                value = args[++i];
+            }
+            const name = valueOptions[arg];
+            if (name === 'include' || name === 'exclude') {
+                values[name].push(value);
+            } else {
+                values[name] = value;
+            }
+        } else if (arg === '--no-gitignore') {
+            flags.gitignore = false;
+        } else if (arg === '--no-redact') {
+            flags.redact = false;
+        } else if (arg === '-h' || arg === '--help') {
+            flags.help = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            folders.push(arg);
+        }
+    }
+
+    if (flags.help) {
+        return { folders, options: null, help: true };
+    }
+
+    const profile = values.profile ? loadProfile(folders[0] || '.', values.profile) : null;
+    const fromProfile = name => (profile ? profile[name] : null);
+    const maxTokens = values.budget ? parseTokens(values.budget) : fromProfile('budget');
+    const options = {
+        format: oneOf(values.format || fromProfile('format') || 'plain', Object.keys(formatters), 'format'),
+        model: values.model || fromProfile('model'),
+        budget: maxTokens ? { maxTokens } : null,
+        includeGlobs: [...(profile ? profile.include : []), ...values.include],
+        exclude: [...(profile ? profile.exclude : []), ...values.exclude],
+        compression: oneOf(values.compress || 'none', Object.keys(compressionLevels), 'compression level'),
+        template: values.template || fromProfile('template'),
+        question: values.question || '',
+        git: values.git
+            ? {
+                mode: oneOf(values.git, Object.keys(gitModes), 'git mode'),
+                ref: values.ref || 'main',
+                commits: values.commits ? parseCount(values.commits, '--commits') : 1,
+                display: oneOf(values.display || 'full', ['full', 'diff', 'both'], 'display')
+            }
+            : null,
+        maxFileSizeKB: values.maxFileSize ? parseCount(values.maxFileSize, '--max-file-size') : 1024,
+        gitignore: flags.gitignore,
+        redact: flags.redact,
+        outputPath: values.output ? path.resolve(values.output) : null
+    };
+    return { folders, options, help: false };
+}
+
+async function main(args) {
+    const { folders, options, help } = parseArgs(args);
+    if (help) {
+        console.log(usage);
+        return;
+    }
+    for (const folder of folders) {
+        const stat = await fs.stat(folder).catch(() => null);
+        if (!stat || !stat.isDirectory()) {
+            throw new Error(`${folder} is not a folder`);
+        }
+    }
+
+    const data = await ingest(folders, options);
+    const { summary } = data;
+    if (!options.outputPath) {
+        process.stdout.write(data.prompt);
+    } else {
+        await fs.mkdir(path.dirname(options.outputPath), { recursive: true });
+        await fs.writeFile(options.outputPath, data.prompt, 'utf-8');
+    }
+
+    // The summary goes to stderr so it never ends up in a piped prompt
+    const notes = [`${summary.fileCount} files, ${summary.estimatedTokens} tokens`];
+    if (summary.budget && summary.budget.omitted.length > 0) {
+        notes.push(`${summary.budget.omitted.length} omitted by the budget`);
+    }
+    const unreadable = data.contents.filter(file => file.error).length;
+    if (unreadable > 0) {
+        notes.push(`${unreadable} could not be read`);
+    }
+    if (summary.redactions.length > 0) {
+        notes.push(`${summary.redactions.length} secrets redacted`);
+    }
+    (summary.git ? summary.git.roots : []).filter(root => root.error).forEach(root => {
+        notes.push(`git failed in ${root.name}: ${root.error}`);
+    });
+    const target = options.outputPath ? ` written to ${path.relative(process.cwd(), options.outputPath)}` : '';
+    console.error(`vsingest: ${notes.join(', ')}${target}`);
+}
+
+if (require.main === module) {
+    // A reader that stops early, like head, closes the pipe; that is not an error
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') {
+            console.error(`vsingest: ${error.message}`);
+            process.exitCode = 1;
+        }
+        process.exit();
+    });
+    main(process.argv.slice(2))
+        .catch(error => {
+            console.error(`vsingest: ${error.message}`);
+            process.exitCode = 1;
+        })
+        .finally(() => freeEncoders());
+}
+
+module.exports = {
+    parseArgs,
+    parseTokens,
+    main
+};
@@ -0,0 +1,412 @@
+const path = require('path');
+const ignore = require('ignore');
+
+const levels = {
+    none: 'Full content',
+    strip: 'Strip comments and blank lines',
+    minify: 'Minify whitespace',
+    skeleton: 'Signatures only'
+};
+
+// Comment and string syntax per language family. Strings are tracked only so
+// that comment markers inside them are left alone; ' and " strings end at a
+// line break, so a quote in a regex literal cannot swallow the rest of a file.
+const syntaxes = {
+    c: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'], braces: true },
+    // A ' not closed right after a name is a lifetime or label, like 'a or 'static
+    rust: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'"], braces: true, lifetimes: true },
+    // Regex literals are lexed like strings, so // in one is not a comment
+    js: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'], braces: true, regex: true },
+    python: { line: ['#'], block: [], quotes: ['"""', "'''", '"', "'"], indented: true },
+    hash: { line: ['#'], block: [], quotes: ['"', "'"], indented: true },
+    // A shell comment starts a word, so $# and ${#arr[@]} are code
+    shell: { line: ['#'], block: [], quotes: ['"', "'"], indented: true, wordComments: true },
+    // Plain CSS has only block comments; // is part of values like url(https://...)
+    css: { line: [], block: [['/*', '*/']], quotes: ['"', "'"] },
+    // Data has no signatures, so JSON is stripped at the skeleton level too
+    json: { line: ['//'], block: [['/*', '*/']], quotes: ['"'] },
+    scss: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'"] },
+    sql: { line: ['--'], block: [['/*', '*/']], quotes: ["'", '"'] },
+    markup: { line: [], block: [['<!--', '-->']], quotes: [] },
+    // Blank lines and indentation carry meaning in prose, so only comments go
+    prose: { line: [], block: [['<!--', '-->']], quotes: [], prose: true }
+};
+
+const syntaxByExtension = {
+    c: ['.java', '.c', '.h', '.cpp', '.cc', '.hpp', '.cs', '.go', '.kt', '.kts', '.swift', '.php', '.dart',
+        '.scala', '.groovy', '.proto', '.zig'],
+    rust: ['.rs'],
+    json: ['.json', '.jsonc'],
+    css: ['.css'],
+    scss: ['.scss', '.less'],
+    js: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'],
+    python: ['.py', '.pyi'],
+    hash: ['.rb', '.yaml', '.yml', '.toml', '.r', '.pl', '.ex', '.exs', '.tf', '.hcl', '.nix', '.cmake',
+        '.dockerfile', '.ps1', '.conf', '.cfg', '.ini'],
+    shell: ['.sh', '.bash', '.zsh', '.fish'],
+    sql: ['.sql', '.lua', '.hs'],
+    markup: ['.html', '.htm', '.xml', '.svg', '.vue', '.svelte', '.xaml'],
+    prose: ['.md', '.markdown', '.rst', '.txt']
+};
+
+const syntaxForExtension = new Map(
+    Object.entries(syntaxByExtension).flatMap(([name, extensions]) => extensions.map(ext => [ext, syntaxes[name]]))
+);
+
+const syntaxForName = {
+    dockerfile: syntaxes.hash,
+    makefile: syntaxes.hash,
+    '.gitignore': syntaxes.hash,
+    '.env': syntaxes.hash
+};
+
+function getSyntax(filePath) {
+    const name = path.basename(filePath).toLowerCase();
+    return syntaxForName[name] || syntaxForExtension.get(path.extname(name)) || null;
+}
+
+// A / starts a regex literal where an operand is expected: at the start,
+// after an operator or opening punctuation, or after a keyword like return.
+// After a name, a number or a closing bracket it divides.
+// Only the last few characters are looked at, enough for the longest keyword.
+function startsRegex(before) {
+    return before === ''
+        || /[(,=:[!&|?{};+\-*%>~^]$/.test(before)
+        || /(^|[^\w$.])(return|typeof|instanceof|case|do|else|in|of|new|delete|void|throw|yield|await)$/.test(before);
+}
+
+// The end of the regex literal starting at i, or -1 when the line ends first
+function regexEnd(text, i) {
+    let inClass = false;
+    for (let j = i + 1; j < text.length && text[j] !== '\n'; j++) {
+        if (text[j] === '\\') {
+            j++;
+        } else if (text[j] === '[') {
+            inClass = true;
+        } else if (text[j] === ']') {
+            inClass = false;
+        } else if (text[j] === '/' && !inClass) {
+            j++;
+            while (j < text.length && /[a-z]/i.test(text[j])) {
+                j++;
+            }
+            return j;
+        }
+    }
+    return -1;
+}
+
+// A Rust lifetime or loop label, as opposed to a char literal like 'a'
+const lifetimePattern = /'[A-Za-z_]\w*(?!['\w])/y;
+
+// Splits text into { type: 'code' | 'string' | 'comment', text, doc } segments.
+// Regex literals count as strings.
+function lex(text, syntax) {
+    const segments = [];
+    let code = '';
+    // The code before the current one, ignoring comments; a string or regex
+    // leaves a quote, which is an operand
+    let previous = '';
+    let i = 0;
+    const startsWithAt = marker => text.startsWith(marker, i);
+    const flushCode = () => {
+        if (code) {
+            segments.push({ type: 'code', text: code });
+            previous = code.trimEnd() || previous;
+            code = '';
+        }
+    };
+
+    while (i < text.length) {
+        const lineMarker = syntax.line.find(startsWithAt);
+        if (lineMarker && (!syntax.wordComments || i === 0 || /[\s;]/.test(text[i - 1]))) {
+            flushCode();
+            let end = text.indexOf('\n', i);
+            end = end === -1 ? text.length : end;
+            const comment = text.slice(i, end);
+            // "///" in Rust and C#, "//!" module docs
+            segments.push({ type: 'comment', text: comment, doc: /^\/\/[/!]/.test(comment) });
+            i = end;
+            continue;
+        }
+        const block = syntax.block.find(([open]) => startsWithAt(open));
+        if (block) {
+            flushCode();
+            let end = text.indexOf(block[1], i + block[0].length);
+            end = end === -1 ? text.length : end + block[1].length;
+            const comment = text.slice(i, end);
+            segments.push({ type: 'comment', text: comment, doc: comment.startsWith('/**') });
+            i = end;
+            continue;
+        }
+        const quote = syntax.quotes.find(startsWithAt);
+        if (quote === "'" && syntax.lifetimes) {
+            lifetimePattern.lastIndex = i;
+            const lifetime = lifetimePattern.exec(text);
+            if (lifetime) {
+                code += lifetime[0];
+                i += lifetime[0].length;
+                continue;
+            }
+        }
+        if (quote) {
+            flushCode();
+            const multiline = quote.length === 3 || quote === '`';
+            let j = i + quote.length;
+            while (j < text.length && !text.startsWith(quote, j)) {
+                if (text[j] === '\\') {
+                    j++;
+                } else if (text[j] === '\n' && !multiline) {
+                    break;
+                }
+                j++;
+            }
+            const end = Math.min(text.length, text.startsWith(quote, j) ? j + quote.length : j);
+            segments.push({ type: 'string', text: text.slice(i, end) });
+            previous = '"';
+            i = end;
+            continue;
+        }
+        if (syntax.regex && text[i] === '/' && startsRegex((code.trimEnd() || previous).slice(-12))) {
+            const end = regexEnd(text, i);
+            if (end !== -1) {
+                flushCode();
+                segments.push({ type: 'string', text: text.slice(i, end) });
+                previous = '"';
+                i = end;
+                continue;
+            }
+        }
+        code += text[i];
+        i++;
+    }
+    flushCode();
+    return segments;
+}
+
+// The line a comment stood on is left blank and removed afterwards
+function removeComments(segments) {
+    return segments
+        .filter(segment => segment.type !== 'comment')
+        .map(segment => segment.text)
+        .join('');
+}
+
+function removeBlankLines(text) {
+    return text.split('\n').map(line => line.trimEnd()).filter(line => line.trim() !== '').join('\n');
+}
+
+function collapseBlankLines(text) {
+    return text.split('\n').map(line => line.trimEnd()).join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+function strip(text, syntax) {
+    const withoutComments = removeComments(lex(text, syntax));
+    return syntax.prose ? collapseBlankLines(withoutComments) : removeBlankLines(withoutComments);
+}
+
+// Indentation becomes one space per level where it carries meaning and goes
+// away where it does not. Runs of spaces outside strings become one space.
+function minify(text, syntax) {
+    if (syntax.prose) {
+        return strip(text, syntax);
+    }
+    const collapsed = lex(text, syntax)
+        .filter(segment => segment.type !== 'comment')
+        .map(segment => (segment.type === 'code' ? segment.text.replace(/(\S)[ \t]{2,}/g, '$1 ') : segment.text))
+        .join('');
+    const lines = removeBlankLines(collapsed).split('\n');
+    if (!syntax.indented) {
+        return lines.map(line => line.trimStart()).join('\n');
+    }
+
+    const widthOf = line => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    const widths = lines.map(widthOf);
+    const unit = Math.min(...widths.filter(width => width > 0), Infinity);
+    return lines.map((line, index) => {
+        const level = unit === Infinity ? 0 : Math.round(widths[index] / unit);
+        return ' '.repeat(level) + line.trimStart();
+    }).join('\n');
+}
+
+// Keywords that make a brace block a container whose members stay visible
+const containerPattern = /\b(class|interface|enum|struct|union|trait|impl|namespace|module|object|record|protocol|extension)\b/;
+
+// A brace block is a body to drop when it follows an arrow, a parameter list
+// or a keyword like else. Class bodies, object literals and braces inside
+// parentheses (default values, call arguments) are kept.
+function isBody(statement, parenDepth) {
+    if (/=>\s*$/.test(statement)) {
+        return true;
+    }
+    if (parenDepth > 0 || containerPattern.test(statement)) {
+        return false;
+    }
+    return /[()]/.test(statement) || /\b(else|try|finally|do|static|init|get|set)\s*$/.test(statement);
+}
+
+function braceSkeleton(text, syntax) {
+    const segments = lex(text, syntax).filter(segment => segment.type !== 'comment' || segment.doc);
+    let output = '';
+    let statement = '';
+    let parenDepth = 0;
+    // Depth inside a dropped body; 0 while output is kept
+    let skipDepth = 0;
+
+    segments.forEach(segment => {
+        if (segment.type !== 'code') {
+            if (skipDepth === 0) {
+                output += segment.text;
+                statement += segment.type === 'string' ? segment.text : '';
+            }
+            return;
+        }
+        for (const char of segment.text) {
+            if (skipDepth > 0) {
+                if (char === '{') {
+                    skipDepth++;
+                } else if (char === '}') {
+                    skipDepth--;
+                    if (skipDepth === 0) {
+                        output += '{ ... }';
+                    }
+                }
+                continue;
+            }
+            if (char === '(') {
+                parenDepth++;
+            } else if (char === ')') {
+                parenDepth = Math.max(0, parenDepth - 1);
+            }
+            if (char === '{' && isBody(statement, parenDepth)) {
+                skipDepth = 1;
+                statement = '';
+                continue;
+            }
+            output += char;
+            if (char === '{' || char === '}' || char === ';') {
+                statement = '';
+            } else {
+                statement += char;
+            }
+        }
+    });
+    if (skipDepth > 0) {
+        output += '{ ... }';
+    }
+    return removeBlankLines(output);
+}
+
+// Keeps imports, decorators, class lines, def signatures and docstrings;
+// each function body becomes "..."
+function pythonSkeleton(text, syntax) {
+    const lines = removeBlankLines(removeComments(lex(text, syntax))).split('\n');
+    const indentOf = line => line.match(/^\s*/)[0].length;
+    const output = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        output.push(line);
+        i++;
+        if (!/^\s*(async\s+)?def\s/.test(line)) {
+            continue;
+        }
+        const defIndent = indentOf(line);
+        // Signatures can run over several lines
+        let signature = line;
+        while (!/:\s*$/.test(signature) && i < lines.length) {
+            signature = lines[i];
+            output.push(signature);
+            i++;
+        }
+        if (i >= lines.length || indentOf(lines[i]) <= defIndent) {
+            continue;
+        }
+        const bodyIndent = ' '.repeat(indentOf(lines[i]));
+        const docstring = /^\s*[rbuRBU]?("""|''')/.exec(lines[i]);
+        if (docstring) {
+            const quote = docstring[1];
+            let docLine = lines[i];
+            output.push(docLine);
+            i++;
+            const rest = docLine.slice(docLine.indexOf(quote) + 3);
+            while (!rest.includes(quote) && i < lines.length) {
+                docLine = lines[i];
+                output.push(docLine);
+                i++;
+                if (docLine.includes(quote)) {
+                    break;
+                }
+            }
+        }
+        output.push(`${bodyIndent}...`);
+        while (i < lines.length && indentOf(lines[i]) > defIndent) {
+            i++;
+        }
+    }
+    return output.join('\n');
+}
+
+function skeleton(text, syntax) {
+    if (syntax.braces) {
+        return braceSkeleton(text, syntax);
+    }
+    if (syntax === syntaxes.python) {
+        return pythonSkeleton(text, syntax);
+    }
+    // Data and markup have no signatures to keep
+    return strip(text, syntax);
+}
+
+// Compresses a file's content at a level. Languages without known syntax
+// only lose trailing whitespace and blank lines.
+function compress(text, filePath, level) {
+    if (!level || level === 'none') {
+        return text;
+    }
+    const syntax = getSyntax(filePath);
+    if (!syntax) {
+        return removeBlankLines(text);
+    }
+    switch (level) {
+        case 'strip':
+            return strip(text, syntax);
+        case 'minify':
+            return minify(text, syntax);
+        case 'skeleton':
+            return skeleton(text, syntax);
+        default:
+            return text;
+    }
+}
+
+// Picks the level for a path: the last matching entry of `paths` (a
+// { glob: level } object), else `level`. Files in `full` are never compressed.
+class CompressionPolicy {
+    constructor(options = {}) {
+        this.level = levels[options.level] ? options.level : 'none';
+        this.paths = Object.entries(options.paths || {})
+            .filter(([, level]) => levels[level])
+            .map(([pattern, level]) => ({ matcher: ignore().add(pattern), level }));
+        this.full = new Set((options.full || []).map(toPosix));
+    }
+
+    levelFor(relativePath) {
+        const posixPath = toPosix(relativePath);
+        if (this.full.has(posixPath)) {
+            return 'none';
+        }
+        const matches = this.paths.filter(entry => entry.matcher.ignores(posixPath));
+        return matches.length > 0 ? matches[matches.length - 1].level : this.level;
+    }
+}
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+module.exports = {
+    levels,
+    compress,
+    CompressionPolicy
+};
@@ -0,0 +1,352 @@
+const path = require('path');
+const { compress } = require('./compression');
+
+// Resolves imports between the files of a workspace, starting from entry files.
+// Only files in the given list are ever resolved to, so packages from
+// node_modules, the standard library or anything ignored stay out.
+
+const jsExtensions = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte'];
+const resolvableExtensions = [...jsExtensions, '.json', '.d.ts'];
+const pythonExtensions = ['.py', '.pyi'];
+
+// TypeScript lets ESM imports name the compiled file: './util.js' is util.ts
+const compiledToSource = {
+    '.js': ['.ts', '.tsx'],
+    '.jsx': ['.tsx'],
+    '.mjs': ['.mts'],
+    '.cjs': ['.cts']
+};
+
+function languageOf(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (jsExtensions.includes(ext)) {
+        return 'js';
+    }
+    if (pythonExtensions.includes(ext)) {
+        return 'python';
+    }
+    return ext === '.go' ? 'go' : null;
+}
+
+function matchAll(text, pattern, group = 1) {
+    return [...text.matchAll(pattern)].map(match => match[group]);
+}
+
+// Module specifiers of import, export ... from, require() and import()
+function jsImports(text) {
+    return [
+        ...matchAll(text, /\b(?:import|export)\s+(?:type\s+)?(?:[\w*\s{},$]*?\s+from\s+)?['"]([^'"\n]+)['"]/g),
+        ...matchAll(text, /\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g)
+    ];
+}
+
+// { dots, module, names } per import; `import a.b` has no names
+function pythonImports(text) {
+    const imports = [];
+    for (const match of text.matchAll(/^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm)) {
+        const names = match[3].replace(/[()]/g, '').split(',')
+            .map(name => name.trim().split(/\s+as\s+/)[0].trim())
+            .filter(name => /^\w+$/.test(name));
+        imports.push({ dots: match[1].length, module: match[2], names });
+    }
+    for (const match of text.matchAll(/^[ \t]*import[ \t]+([\w. \t,]+)$/gm)) {
+        match[1].split(',').forEach(part => {
+            const module = part.trim().split(/\s+as\s+/)[0].trim();
+            if (module) {
+                imports.push({ dots: 0, module, names: [] });
+            }
+        });
+    }
+    return imports;
+}
+
+function goImports(text) {
+    const blocks = matchAll(text, /\bimport\s*\(([^)]*)\)/g).flatMap(block => matchAll(block, /"([^"\n]+)"/g));
+    return [...blocks, ...matchAll(text, /\bimport\s+(?:[\w.]+\s+)?"([^"\n]+)"/g)];
+}
+
+// tsconfig and jsconfig allow comments and trailing commas
+function parseJsonc(text, filePath) {
+    try {
+        return JSON.parse(compress(text, filePath, 'strip').replace(/,(\s*[}\]])/g, '$1'));
+    } catch {
+        return null;
+    }
+}
+
+class DependencyResolver {
+    // files: absolute paths that can be resolved to. roots: workspace folders,
+    // where the search for tsconfig, jsconfig and go.mod stops. readText:
+    // async fsPath -> text or null.
+    constructor({ files, roots, readText }) {
+        this.files = new Set(files);
+        this.roots = roots.map(root => path.resolve(root));
+        this.readText = readText;
+        this.filesByDir = new Map();
+        files.forEach(file => {
+            const dir = path.dirname(file);
+            this.filesByDir.set(dir, [...(this.filesByDir.get(dir) || []), file]);
+        });
+        // Directory -> Promise of the config that applies there
+        this.tsConfigs = new Map();
+        this.goModules = new Map();
+    }
+
+    rootOf(filePath) {
+        return this.roots.find(root => filePath === root || filePath.startsWith(root + path.sep)) || path.parse(filePath).root;
+    }
+
+    // The first file named one of `names` in dir or a parent, up to the root
+    async findUp(dir, names, root) {
+        for (let current = dir; ; current = path.dirname(current)) {
+            for (const name of names) {
+                const candidate = path.join(current, name);
+                const text = await this.readText(candidate);
+                if (text !== null) {
+                    return { file: candidate, text };
+                }
+            }
+            if (current === root || path.dirname(current) === current) {
+                return null;
+            }
+        }
+    }
+
+    // { baseUrl, paths } from the nearest tsconfig.json or jsconfig.json,
+    // following relative "extends"
+    tsConfigFor(filePath) {
+        const dir = path.dirname(filePath);
+        if (!this.tsConfigs.has(dir)) {
+            this.tsConfigs.set(dir, this.loadTsConfig(dir, this.rootOf(filePath)));
+        }
+        return this.tsConfigs.get(dir);
+    }
+
+    async loadTsConfig(dir, root) {
+        const found = await this.findUp(dir, ['tsconfig.json', 'jsconfig.json'], root);
+        if (!found) {
+            return null;
+        }
+        const config = { baseUrl: null, paths: null, pathsBase: null };
+        const seen = new Set();
+        let current = found;
+        // The closest file wins, so extended files only fill in what is missing
+        while (current && !seen.has(current.file)) {
+            seen.add(current.file);
+            const json = parseJsonc(current.text, current.file);
+            if (!json) {
+                break;
+            }
+            const options = json.compilerOptions || {};
+            const configDir = path.dirname(current.file);
+            if (config.baseUrl === null && typeof options.baseUrl === 'string') {
+                config.baseUrl = path.resolve(configDir, options.baseUrl);
+            }
+            if (config.paths === null && options.paths && typeof options.paths === 'object') {
+                config.paths = options.paths;
+                config.pathsBase = configDir;
+            }
+            if (typeof json.extends !== 'string' || !json.extends.startsWith('.')) {
+                break;
+            }
+            let extended = path.resolve(configDir, json.extends);
+            if (!extended.endsWith('.json')) {
+                extended += '.json';
+            }
+            const text = await this.readText(extended);
+            current = text === null ? null : { file: extended, text };
+        }
+        if (config.paths) {
+            // paths are relative to baseUrl, or to their tsconfig without one
+            config.pathsBase = config.baseUrl || config.pathsBase;
+        }
+        return config;
+    }
+
+    // The file a path names with or without its extension, or as a folder's index
+    resolveFile(base) {
+        const candidates = [base, ...resolvableExtensions.map(ext => base + ext)];
+        const ext = path.extname(base);
+        (compiledToSource[ext] || []).forEach(sourceExt => candidates.push(base.slice(0, -ext.length) + sourceExt));
+        candidates.push(...jsExtensions.map(indexExt => path.join(base, `index${indexExt}`)));
+        return candidates.find(candidate => this.files.has(candidate)) || null;
+    }
+
+    async resolveJs(specifier, fromFile) {
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+            return this.resolveFile(path.resolve(path.dirname(fromFile), specifier));
+        }
+        const config = await this.tsConfigFor(fromFile);
+        if (!config) {
+            return null;
+        }
+        if (config.paths) {
+            for (const [pattern, targets] of Object.entries(config.paths)) {
+                const star = pattern.indexOf('*');
+                const prefix = star === -1 ? pattern : pattern.slice(0, star);
+                const suffix = star === -1 ? '' : pattern.slice(star + 1);
+                const matches = star === -1
+                    ? specifier === pattern
+                    : specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length;
+                if (!matches || !Array.isArray(targets)) {
+                    continue;
+                }
+                const wildcard = star === -1 ? '' : specifier.slice(prefix.length, specifier.length - suffix.length);
+                for (const target of targets) {
+                    const resolved = this.resolveFile(path.resolve(config.pathsBase, target.replace('*', wildcard)));
+                    if (resolved) {
+                        return resolved;
+                    }
+                }
+            }
+        }
+        return config.baseUrl ? this.resolveFile(path.resolve(config.baseUrl, specifier)) : null;
+    }
+
+    // A module as a .py file or a package's __init__.py
+    resolvePythonModule(base) {
+        const candidates = [
+            ...pythonExtensions.map(ext => base + ext),
+            ...pythonExtensions.map(ext => path.join(base, `__init__${ext}`))
+        ];
+        return candidates.find(candidate => this.files.has(candidate)) || null;
+    }
+
+    // Relative imports start from the file's package; absolute ones are tried
+    // against the file's folder, the workspace folder and its src/ folder
+    resolvePython({ dots, module, names }, fromFile) {
+        const moduleParts = module ? module.split('.') : [];
+        let bases;
+        if (dots > 0) {
+            let dir = path.dirname(fromFile);
+            for (let i = 1; i < dots; i++) {
+                dir = path.dirname(dir);
+            }
+            bases = [dir];
+        } else {
+            const root = this.rootOf(fromFile);
+            bases = [...new Set([path.dirname(fromFile), root, path.join(root, 'src')])];
+        }
+        const resolved = [];
+        bases.some(base => {
+            const modulePath = path.join(base, ...moduleParts);
+            const found = moduleParts.length > 0 ? this.resolvePythonModule(modulePath) : null;
+            // "from package import module" imports the module itself
+            const submodules = names.map(name => this.resolvePythonModule(path.join(modulePath, name))).filter(Boolean);
+            if (found) {
+                resolved.push(found);
+            }
+            resolved.push(...submodules);
+            return resolved.length > 0;
+        });
+        return resolved;
+    }
+
+    // { dir, module } of the nearest go.mod
+    goModuleFor(filePath) {
+        const dir = path.dirname(filePath);
+        if (!this.goModules.has(dir)) {
+            this.goModules.set(dir, this.findUp(dir, ['go.mod'], this.rootOf(filePath)).then(found => {
+                const match = found && /^module\s+(\S+)/m.exec(found.text);
+                return match ? { dir: path.dirname(found.file), module: match[1] } : null;
+            }));
+        }
+        return this.goModules.get(dir);
+    }
+
+    // A package import stands for every non-test file of the package's
+    // folder; null for imports from outside the module
+    async resolveGo(importPath, fromFile) {
+        const goModule = await this.goModuleFor(fromFile);
+        if (!goModule || (importPath !== goModule.module && !importPath.startsWith(goModule.module + '/'))) {
+            return null;
+        }
+        const dir = path.join(goModule.dir, ...importPath.slice(goModule.module.length).split('/').filter(Boolean));
+        return (this.filesByDir.get(dir) || []).filter(file => file.endsWith('.go') && !file.endsWith('_test.go'));
+    }
+
+    // Resolved imports of a file; unresolved counts the local-looking ones
+    // (relative, aliased or in the module) that matched no file
+    async importsOf(filePath) {
+        const text = await this.readText(filePath);
+        const language = languageOf(filePath);
+        if (text === null || !language) {
+            return { imports: [], unresolved: 0 };
+        }
+        const code = compress(text, filePath, 'strip');
+        let imports = [];
+        let unresolved = 0;
+        if (language === 'js') {
+            for (const specifier of jsImports(code)) {
+                const resolved = await this.resolveJs(specifier, filePath);
+                if (resolved) {
+                    imports.push(resolved);
+                } else if (specifier.startsWith('.')) {
+                    unresolved++;
+                }
+            }
+        } else if (language === 'python') {
+            pythonImports(code).forEach(entry => {
+                const resolved = this.resolvePython(entry, filePath);
+                imports.push(...resolved);
+                if (resolved.length === 0 && entry.dots > 0) {
+                    unresolved++;
+                }
+            });
+        } else {
+            for (const importPath of goImports(code)) {
+                const resolved = await this.resolveGo(importPath, filePath);
+                if (resolved) {
+                    imports.push(...resolved);
+                    unresolved += resolved.length === 0 ? 1 : 0;
+                }
+            }
+        }
+        imports = [...new Set(imports)].filter(file => file !== filePath);
+        return { imports, unresolved };
+    }
+}
+
+// Follows imports breadth first from the entry files, maxDepth levels deep
+// (0 for no limit). Resolves with { depths: Map(file -> depth, entries at
+// 0), edges: Map(file -> [imported files]), unresolved }.
+async function traceDependencies({ entries, maxDepth = 0, files, roots, readText }) {
+    const resolver = new DependencyResolver({ files, roots, readText });
+    const depths = new Map();
+    const edges = new Map();
+    let unresolved = 0;
+    let level = entries.filter(entry => resolver.files.has(entry));
+    level.forEach(entry => depths.set(entry, 0));
+
+    for (let depth = 1; level.length > 0 && (maxDepth === 0 || depth <= maxDepth); depth++) {
+        const next = [];
+        for (const file of level) {
+            const result = await resolver.importsOf(file);
+            edges.set(file, result.imports);
+            unresolved += result.unresolved;
+            result.imports.filter(imported => !depths.has(imported)).forEach(imported => {
+                depths.set(imported, depth);
+                next.push(imported);
+            });
+        }
+        level = next;
+    }
+    return { depths, edges, unresolved };
+}
+
+// Text for the prompt: each file that imports something, then its imports
+function renderGraph(edges, nameOf) {
+    const lines = [];
+    edges.forEach((imports, file) => {
+        if (imports.length > 0) {
+            lines.push(nameOf(file), ...imports.map(imported => `  -> ${nameOf(imported)}`));
+        }
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    languageOf,
+    traceDependencies,
+    renderGraph
+};
@@ -0,0 +1,930 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ignore = require('ignore');
+const { countTokens, getEncodingInfo } = require('./tokenizer');
+const { IgnoreFilter, ignoreFileNames } = require('./ignore');
+const { fitToBudget } = require('./budget');
+const { traceDependencies, renderGraph } = require('./dependencies');
+const { getFormatter, formatOutput, diagnosticLines } = require('./formatters');
+const { FileCache, mapWithConcurrency } = require('./fileCache');
+const { Redactor } = require('./redaction');
+const { FileClassifier, isBinary, decodeText } = require('./textDetection');
+const { getChanges, readStaged, untrackedDiff } = require('./git');
+const { levels: compressionLevels, compress, CompressionPolicy } = require('./compression');
+const { getTemplates, renderTemplate } = require('./templates');
+
+// Upper bound on files read at the same time during a scan
+const maxConcurrentReads = 16;
+
+// Scans folders on disk into the tree, the file contents and their token
+// counts that every output format is built from. It does not depend on
+// VS Code: the extension passes in its workspace folders, settings and
+// editor state, the CLI its arguments.
+class IngestEngine {
+    constructor(options = {}) {
+        this.model = options.model || null;
+        this.excluded = new Set(options.excluded || []);
+        this.budget = options.budget || null;
+        // How the files are framed in the prompt, which a budget leaves room for
+        this.formatter = options.formatter || getFormatter('plain');
+        // File -> { formatter, model, tokens } the formatter adds around it
+        this.frames = new WeakMap();
+        this.cache = options.cache || new FileCache();
+        this.redactor = options.redactor || null;
+        this.classifier = options.classifier || new FileClassifier();
+        this.compression = options.compression || new CompressionPolicy();
+        // { mode, ref, commits, display } to ingest only what git reports as
+        // changed; null ingests every file
+        this.git = options.git || null;
+        // Relative path -> { status, added, removed, diff, cwd, withinRoot } in git modes
+        this.changes = new Map();
+        // Unsaved buffers, diagnostics and open tabs, see createEditorContext;
+        // null reads only the disk
+        this.editor = options.editor || null;
+        // { entries, depth } to ingest only what the entry files import;
+        // null ingests every file
+        this.dependencies = options.dependencies || null;
+        // { depths, edges, unresolved } with relative paths in dependency mode
+        this.graph = null;
+        // Relative paths of files or folders to limit the ingest to; null means everything
+        this.include = options.include || null;
+        // Gitignore-style globs, relative to each folder, that a file has to
+        // match to be ingested; null or empty means everything
+        this.includeGlobs = options.includeGlobs && options.includeGlobs.length > 0
+            ? ignore().add(options.includeGlobs)
+            : null;
+        // { mode: 'path' | 'content', pattern, only } narrows the result to
+        // matching files; without `only` the matches are just reported
+        ({ filter: this.filter, matcher: this.filterMatcher } = compileFilter(options.filter || null));
+        // Folders to scan as { name, path }; with more than one, paths start
+        // with the folder's name
+        this.folders = options.folders || [];
+        // Names of the folders to scan; null means all of them
+        this.rootNames = options.roots || null;
+        // Ignore file handling and extra gitignore-style patterns, see IgnoreFilter
+        this.ignore = { useGitignore: true, patterns: [], ...options.ignore };
+        // A file the prompt is written to, kept out of the next scan
+        this.outputPath = options.outputPath || null;
+        // async rootPath => absolute file paths; by default the folder is
+        // walked on disk, skipping node_modules and ignored folders
+        this.listFiles = options.listFiles || null;
+        // Scanned folders as { name, path, prefix, ignoreFilter }
+        this.roots = [];
+        this.multiRoot = false;
+        this.allPaths = [];
+        this.allContents = [];
+        // Relative path -> 'binary', 'too-large' or 'excluded' for files
+        // that are listed in the tree but not read
+        this.skipped = new Map();
+        this.summaryInfo = {
+            fileCount: 0,
+            totalSize: 0,
+            estimatedTokens: 0,
+            model: this.model,
+            encoding: getEncodingInfo(this.model)
+        };
+        this.fileContents = [];
+    }
+
+    async generateStructure() {
+        if (this.folders.length === 0) {
+            return {
+                structure: 'No workspace folder open',
+                tree: {},
+                excluded: [],
+                summary: this.summaryInfo,
+                contents: []
+            };
+        }
+
+        // Paths carry the folder name only in multi-root workspaces, so a
+        // single folder keeps plain relative paths
+        const folders = this.folders;
+        this.multiRoot = folders.length > 1;
+        // A folder name saved for a folder that has since been removed falls back to all
+        const picked = folders.filter(folder => this.rootNames && this.rootNames.includes(folder.name));
+        this.roots = (picked.length > 0 ? picked : folders)
+            .map(folder => ({
+                name: folder.name,
+                path: folder.path,
+                prefix: this.multiRoot ? folder.name : '',
+                ignoreFilter: null,
+                // { range } or { error } in git modes
+                git: null
+            }));
+
+        this.allPaths = [];
+        this.changes = new Map();
+        const collected = [];
+        for (const root of this.roots) {
+            collected.push({ root, files: await this.collectFiles(root) });
+        }
+        // Imports are resolved against every file, before git narrows them down
+        this.graph = this.dependencies ? await this.traceGraph(collected) : null;
+
+        const files = [];
+        for (const { root, files: collectedFiles } of collected) {
+            const rootFiles = this.git ? await this.selectChanged(root, collectedFiles) : collectedFiles;
+            rootFiles.forEach(fsPath => {
+                const relativePath = this.toRelativePath(root, fsPath);
+                this.allPaths.push(relativePath);
+                // Files outside the graph stay in the tree but are not read
+                if (!this.graph || this.graph.depths.has(relativePath)) {
+                    files.push({ fsPath, relativePath });
+                }
+            });
+        }
+
+        // Read contents of all text files, selected or not, so toggling
+        // the selection does not need another pass over the disk
+        const read = await mapWithConcurrency(files, maxConcurrentReads, file =>
+            this.readFile(file.fsPath, file.relativePath)
+        );
+        this.allContents = read.filter(file => !file.skipped);
+        this.skipped = new Map(read.filter(file => file.skipped).map(file => [file.path, file.skipped]));
+
+        return this.applySelection(this.excluded);
+    }
+
+    // Follows the imports of the entry files through the collected files and
+    // returns the graph with relative paths
+    async traceGraph(collected) {
+        const relativeByFsPath = new Map();
+        collected.forEach(({ root, files }) => files.forEach(fsPath => {
+            relativeByFsPath.set(fsPath, this.toRelativePath(root, fsPath));
+        }));
+        const fsPathByRelative = new Map([...relativeByFsPath].map(([fsPath, relativePath]) => [relativePath, fsPath]));
+        const readText = async fsPath => {
+            const unsaved = this.editor ? this.editor.unsavedText(fsPath) : null;
+            if (unsaved !== null) {
+                return unsaved;
+            }
+            try {
+                return await fs.readFile(fsPath, 'utf-8');
+            } catch {
+                return null;
+            }
+        };
+
+        const graph = await traceDependencies({
+            entries: this.dependencies.entries.map(entry => fsPathByRelative.get(entry)).filter(Boolean),
+            maxDepth: this.dependencies.depth,
+            files: [...relativeByFsPath.keys()],
+            roots: this.roots.map(root => root.path),
+            readText
+        });
+        const toRelative = fsPath => relativeByFsPath.get(fsPath);
+        return {
+            depths: new Map([...graph.depths].map(([fsPath, depth]) => [toRelative(fsPath), depth])),
+            edges: new Map([...graph.edges].map(([fsPath, imports]) => [toRelative(fsPath), imports.map(toRelative)])),
+            unresolved: graph.unresolved
+        };
+    }
+
+    // Narrows a folder's files to those git reports as changed. Deleted files
+    // are added back so their removal shows up in the prompt.
+    async selectChanged(root, files) {
+        const rootPath = root.path;
+        let changes;
+        try {
+            changes = await getChanges(rootPath, this.git);
+        } catch (error) {
+            root.git = { error: error.message };
+            return [];
+        }
+        root.git = { range: changes.range };
+
+        const selected = files.filter(fsPath => changes.files.has(path.relative(rootPath, fsPath)));
+        for (const [withinRoot, change] of changes.files) {
+            if (change.status === 'deleted') {
+                await root.ignoreFilter.load([withinRoot]);
+                const fsPath = path.join(rootPath, withinRoot);
+                if (!root.ignoreFilter.isIgnored(withinRoot) && this.isIncluded(root, fsPath)) {
+                    selected.push(fsPath);
+                }
+            }
+        }
+        selected.forEach(fsPath => {
+            const withinRoot = path.relative(rootPath, fsPath);
+            this.changes.set(this.toRelativePath(root, fsPath), { ...changes.files.get(withinRoot), cwd: rootPath, withinRoot });
+        });
+        return selected;
+    }
+
+    toRelativePath(root, fsPath) {
+        const withinRoot = path.relative(root.path, fsPath);
+        return root.prefix ? path.join(root.prefix, withinRoot) : withinRoot;
+    }
+
+    // The innermost scanned root holding a file, or undefined for files outside them
+    findRoot(fsPath) {
+        return this.roots
+            .filter(root => isInside(root.path, fsPath))
+            .sort((a, b) => b.path.length - a.path.length)[0];
+    }
+
+    // Unchanged files and known token counts come from the cache. Secrets are
+    // redacted before tokens are counted, so the counts match what is sent.
+    // Files that are not read as text come back as { path, fsPath, skipped },
+    // files that cannot be read with the reason in `error`.
+    async readFile(fsPath, relativePath) {
+        const change = this.changes.get(relativePath);
+        const file = change ? await this.readChange(fsPath, relativePath, change) : await this.readWorkingFile(fsPath, relativePath);
+        return this.attachDiagnostics(file);
+    }
+
+    // Adds the editor's errors and warnings for the file, which count
+    // towards its tokens since they are copied with it
+    attachDiagnostics(file) {
+        const diagnostics = !file.skipped && this.editor ? this.editor.diagnostics(file.fsPath) : [];
+        if (diagnostics.length === 0) {
+            return file;
+        }
+        const withDiagnostics = { ...file, diagnostics };
+        return { ...withDiagnostics, tokens: file.tokens + countTokens(diagnosticLines(withDiagnostics).join('\n'), this.model) };
+    }
+
+    async readWorkingFile(fsPath, relativePath) {
+        const kind = this.classifier.classify(relativePath);
+        if (kind === 'excluded' || kind === 'binary') {
+            return { path: relativePath, fsPath, skipped: kind };
+        }
+        // An editor's unsaved text wins over the disk; it is text whatever its
+        // extension, and its counts are not cached since it keeps changing
+        const unsaved = this.editor ? this.editor.unsavedText(fsPath) : null;
+        if (unsaved !== null) {
+            const file = this.describeText(fsPath, relativePath, unsaved, { size: Buffer.byteLength(unsaved), mtimeMs: Date.now() }, null);
+            return { ...file, unsaved: true };
+        }
+        try {
+            const trusted = kind === 'text';
+            const { entry, stat } = await this.cache.read(fsPath, { maxSize: this.classifier.maxFileSize, trusted });
+            if (!entry) {
+                return { path: relativePath, fsPath, skipped: 'too-large' };
+            }
+            if (entry.binary && !trusted) {
+                return { path: relativePath, fsPath, skipped: 'binary' };
+            }
+            return this.describeText(fsPath, relativePath, entry.content, stat, entry);
+        } catch (error) {
+            return {
+                path: relativePath,
+                fsPath,
+                size: 0,
+                mtime: 0,
+                tokens: 0,
+                content: `Error reading file: ${error.message}`,
+                error: error.message,
+                redactions: []
+            };
+        }
+    }
+
+    // Redacts, compresses and counts a file's text. Counts for files without
+    // redactions are cached on the cache entry, if any, per model, encoding,
+    // scale and level, as a custom model's encoding can change in the settings.
+    describeText(fsPath, relativePath, text, stat, entry) {
+        const { content: redacted, findings } = this.redact(text, relativePath);
+        const level = this.compression.levelFor(relativePath);
+        const content = compress(redacted, relativePath, level);
+        const count = (key, value) => (findings.length > 0 || !entry
+            ? countTokens(value, this.model)
+            : this.cache.tokens(entry, key, () => countTokens(value, this.model)));
+        const { encoding, scale } = getEncodingInfo(this.model);
+        const key = `${this.model || ''}:${encoding}:${scale}`;
+        const before = count(key, redacted);
+        const tokens = level === 'none' ? before : count(`${key}:${level}`, content);
+
+        return {
+            path: relativePath,
+            fsPath,
+            size: stat.size,
+            mtime: stat.mtimeMs,
+            tokens,
+            content,
+            compression: { level, before, after: tokens },
+            redactions: findings
+        };
+    }
+
+    // Git modes: the file's content, its diff or both, as git.display says.
+    // Staged mode reads the content from the index instead of the disk.
+    async readChange(fsPath, relativePath, change) {
+        const { mode, display } = this.git;
+        let file = { path: relativePath, fsPath, size: 0, mtime: 0, content: '', redactions: [] };
+        if (change.status !== 'deleted' && mode === 'staged') {
+            const kind = this.classifier.classify(relativePath);
+            if (kind === 'excluded' || kind === 'binary') {
+                return { path: relativePath, fsPath, skipped: kind };
+            }
+            const buffer = (await readStaged(change.cwd, change.withinRoot)) || Buffer.alloc(0);
+            if (this.classifier.maxFileSize > 0 && buffer.length > this.classifier.maxFileSize) {
+                return { path: relativePath, fsPath, skipped: 'too-large' };
+            }
+            if (kind !== 'text' && isBinary(buffer)) {
+                return { path: relativePath, fsPath, skipped: 'binary' };
+            }
+            const { content: redacted, findings } = this.redact(decodeText(buffer), relativePath);
+            const level = this.compression.levelFor(relativePath);
+            const content = compress(redacted, relativePath, level);
+            file = {
+                ...file,
+                size: buffer.length,
+                content,
+                compression: { level, before: countTokens(redacted, this.model), after: countTokens(content, this.model) },
+                redactions: findings
+            };
+        } else if (change.status !== 'deleted') {
+            file = await this.readWorkingFile(fsPath, relativePath);
+            if (file.skipped) {
+                return file;
+            }
+        }
+
+        // git has no diff for untracked files, so they get one with every line added
+        let { added, diff } = change.status === 'untracked'
+            ? untrackedDiff(relativePath, file.content)
+            : { added: change.added, diff: change.diff };
+        if (display === 'full' || (display === 'both' && change.status === 'untracked')) {
+            diff = null;
+        } else if (diff && change.status !== 'untracked') {
+            const redacted = this.redact(diff, relativePath);
+            diff = redacted.content;
+            file.redactions = [...file.redactions, ...redacted.findings.map(finding => ({ ...finding, inDiff: true }))];
+        }
+        const content = display === 'diff' ? '' : file.content;
+
+        return {
+            ...file,
+            content,
+            diff,
+            change: { status: change.status, added, removed: change.removed },
+            // Diffs are never compressed
+            compression: content ? file.compression : undefined,
+            tokens: countTokens(content, this.model) + countTokens(diff, this.model)
+        };
+    }
+
+    redact(text, relativePath) {
+        return this.redactor ? this.redactor.redact(text, relativePath) : { content: text, findings: [] };
+    }
+
+    // Puts a reread file into allContents or, if it is no longer read, into skipped
+    storeFile(file) {
+        const index = this.allContents.findIndex(existing => existing.path === file.path);
+        if (file.skipped) {
+            this.skipped.set(file.path, file.skipped);
+            if (index !== -1) {
+                this.allContents.splice(index, 1);
+            }
+            return;
+        }
+        this.skipped.delete(file.path);
+        if (index === -1) {
+            this.allContents.push(file);
+        } else {
+            this.allContents[index] = file;
+        }
+    }
+
+    // Recounts tokens with another model's encoding without rescanning
+    async setModel(model) {
+        this.model = model;
+        this.allContents = await mapWithConcurrency(this.allContents, maxConcurrentReads, file =>
+            this.readFile(file.fsPath, file.path)
+        );
+        return this.applySelection(this.excluded);
+    }
+
+    // Applies file system events to the last scan, reading only the files
+    // that changed. Returns false when a full rescan is needed instead, e.g.
+    // after an ignore file changed. Events carry absolute paths. Created files
+    // are checked against the ignore files but not against what listFiles
+    // leaves out, which only a rescan applies.
+    async applyChanges({ changed = [], created = [], deleted = [] }) {
+        // What git reports as changed, and what a file imports, can shift with any event
+        if (this.roots.length === 0 || this.git || this.graph) {
+            return false;
+        }
+        const isIgnoreFile = fsPath => ignoreFileNames.includes(path.basename(fsPath));
+
+        for (const fsPath of deleted) {
+            const root = this.findRoot(fsPath);
+            if (!root) {
+                continue;
+            }
+            const deletedPath = this.toRelativePath(root, fsPath);
+            // Deleting a folder raises a single event for the folder
+            const isGone = filePath => filePath === deletedPath || filePath.startsWith(deletedPath + path.sep);
+            this.allPaths = this.allPaths.filter(filePath => !isGone(filePath));
+            this.allContents = this.allContents.filter(file => !isGone(file.path));
+            [...this.skipped.keys()].filter(isGone).forEach(filePath => this.skipped.delete(filePath));
+        }
+
+        for (const fsPath of created) {
+            const root = this.findRoot(fsPath);
+            if (!root) {
+                continue;
+            }
+            if (isIgnoreFile(fsPath)) {
+                return false;
+            }
+            const createdPath = this.toRelativePath(root, fsPath);
+            if (this.allPaths.includes(createdPath)) {
+                continue;
+            }
+            const withinRoot = path.relative(root.path, fsPath);
+            await root.ignoreFilter.load([withinRoot]);
+            if (root.ignoreFilter.isIgnored(withinRoot) || !this.isIncluded(root, fsPath)) {
+                continue;
+            }
+            let stat;
+            try {
+                stat = await fs.stat(fsPath);
+            } catch {
+                continue;
+            }
+            if (stat.isDirectory()) {
+                // A folder moved in from elsewhere, its files need a proper scan
+                return false;
+            }
+            this.allPaths.push(createdPath);
+            this.storeFile(await this.readFile(fsPath, createdPath));
+        }
+
+        for (const fsPath of changed) {
+            const root = this.findRoot(fsPath);
+            if (!root) {
+                continue;
+            }
+            if (isIgnoreFile(fsPath)) {
+                return false;
+            }
+            const changedPath = this.toRelativePath(root, fsPath);
+            // A file can grow past the size limit or turn into text
+            if (this.allPaths.includes(changedPath)) {
+                this.storeFile(await this.readFile(fsPath, changedPath));
+            }
+        }
+
+        return true;
+    }
+
+    // Rebuilds the summary, contents and tree text for the files that are
+    // not in the excluded set. The full tree is returned too, so unchecked
+    // files stay visible in the webview. With a token budget, the selected
+    // files are then cut down to fit and the summary lists what was left out.
+    // A filter with `only` set leaves out the files it does not match.
+    applySelection(excluded) {
+        this.excluded = new Set(excluded);
+        const matches = this.filter ? this.matchFilter() : null;
+        const isSelected = filePath => !this.excluded.has(filePath) && (!matches || !this.filter.only || matches.has(filePath));
+
+        this.fileContents = this.allContents.filter(file => isSelected(file.path));
+        if (this.editor && this.editor.openTabs === 'prioritize') {
+            this.fileContents = this.prioritizeOpenTabs(this.fileContents);
+        }
+        const inGraph = filePath => !this.graph || this.graph.depths.has(filePath);
+        let structure = this.renderStructure(this.allPaths.filter(filePath => isSelected(filePath) && inGraph(filePath)));
+        if (this.graph) {
+            const graph = renderGraph(this.graph.edges, filePath => filePath.split(path.sep).join('/'));
+            structure += graph ? `\nDependency Graph:\n${graph}\n` : '';
+        }
+
+        const context = { structure, includeTree: true };
+        const reserved = countTokens(this.formatter.header(context) + this.formatter.footer(context), this.model);
+        let budget = null;
+        if (this.budget && this.budget.maxTokens > 0) {
+            const fitted = fitToBudget(this.fileContents, {
+                ...this.budget,
+                model: this.model,
+                reserved,
+                frameTokens: file => this.frameTokens(file)
+            });
+            this.fileContents = fitted.files;
+            budget = {
+                maxTokens: this.budget.maxTokens,
+                omitted: fitted.omitted,
+                truncated: fitted.truncated
+            };
+        }
+
+        this.summaryInfo = {
+            ...summarizeFiles(this.fileContents),
+            // The whole prompt as the budget counts it: the tree, the format's
+            // framing and the files, not only their contents
+            estimatedTokens: reserved + this.fileContents.reduce((total, file) => total + file.tokens + this.frameTokens(file), 0),
+            model: this.model,
+            encoding: getEncodingInfo(this.model),
+            budget,
+            skipped: this.countSkipped(),
+            git: this.summarizeGit(),
+            compression: this.summarizeCompression(),
+            editor: this.summarizeEditor(),
+            dependencies: this.summarizeDependencies(),
+            redactions: this.fileContents.flatMap(file =>
+                file.redactions.map(redaction => ({ path: file.path, ...redaction }))
+            ),
+            // Per-folder totals, only for multi-root workspaces
+            roots: this.multiRoot
+                ? this.roots.map(root => ({
+                    name: root.prefix,
+                    ...summarizeFiles(this.fileContents.filter(file => file.path.startsWith(root.prefix + path.sep)))
+                }))
+                : null
+        };
+
+        return {
+            structure,
+            tree: buildTree(this.allPaths),
+            excluded: [...this.excluded],
+            skipped: Object.fromEntries(this.skipped),
+            // Relative path -> import depth, 0 for the entry files
+            graph: this.graph ? Object.fromEntries(this.graph.depths) : null,
+            // The filter with the relative paths of the files it matches
+            filter: matches ? { ...this.filter, paths: [...matches] } : null,
+            summary: this.summaryInfo,
+            contents: this.fileContents
+        };
+    }
+
+    // Mode, commit range per folder and changed lines of the selected files
+    summarizeGit() {
+        if (!this.git) {
+            return null;
+        }
+        const changed = this.fileContents.filter(file => file.change);
+        return {
+            mode: this.git.mode,
+            roots: this.roots.map(root => ({ name: root.prefix || path.basename(root.path), ...root.git })),
+            fileCount: changed.length,
+            added: changed.reduce((total, file) => total + file.change.added, 0),
+            removed: changed.reduce((total, file) => total + file.change.removed, 0)
+        };
+    }
+
+    // Entry files, depth and the size of the import closure
+    summarizeDependencies() {
+        if (!this.graph) {
+            return null;
+        }
+        return {
+            entries: this.dependencies.entries,
+            depth: this.dependencies.depth,
+            fileCount: this.graph.depths.size,
+            unresolved: this.graph.unresolved
+        };
+    }
+
+    // Files open in a tab first, in tab order, then the rest as they were
+    prioritizeOpenTabs(files) {
+        const order = new Map(this.editor.openPaths.map((openPath, index) => [openPath, index]));
+        const rank = file => (order.has(file.path) ? order.get(file.path) : order.size);
+        return files
+            .map((file, index) => ({ file, index }))
+            .sort((a, b) => rank(a.file) - rank(b.file) || a.index - b.index)
+            .map(entry => entry.file);
+    }
+
+    // Tokens the formatter adds to a file: its framing, escaping and the
+    // separator. Measured once per file, formatter and model, with the
+    // longest index a file can get.
+    frameTokens(file) {
+        const frame = this.frames.get(file);
+        if (frame && frame.formatter === this.formatter && frame.model === this.model) {
+            return frame.tokens;
+        }
+        const framed = this.formatter.file(file, this.allContents.length - 1) + this.formatter.separator;
+        const tokens = Math.max(countTokens(framed, this.model) - file.tokens, 0);
+        this.frames.set(file, { formatter: this.formatter, model: this.model, tokens });
+        return tokens;
+    }
+
+    // The budget depends on the format, so the selection is fitted again
+    setFormatter(formatter) {
+        this.formatter = formatter;
+        return this.applySelection(this.excluded);
+    }
+
+    // Sets or, with null or an empty pattern, clears the filter; see
+    // compileFilter. Throws on an invalid pattern before changing anything.
+    setFilter(filter) {
+        ({ filter: this.filter, matcher: this.filterMatcher } = compileFilter(filter));
+        return this.applySelection(this.excluded);
+    }
+
+    // Paths the filter matches: by path among every file in the tree, by
+    // content, or diff in git modes, among the files that were read
+    matchFilter() {
+        if (this.filter.mode === 'content') {
+            return new Set(this.allContents
+                .filter(file => this.filterMatcher.test(file.content) || (!!file.diff && this.filterMatcher.test(file.diff)))
+                .map(file => file.path));
+        }
+        return new Set(this.allPaths.filter(filePath => this.filterMatcher.ignores(filePath.split(path.sep).join('/'))));
+    }
+
+    setOpenPaths(openPaths) {
+        if (this.editor) {
+            this.editor.openPaths = openPaths;
+        }
+        return this.applySelection(this.excluded);
+    }
+
+    // Unsaved files, diagnostics and the open tab mode, or null when the
+    // editor adds nothing
+    summarizeEditor() {
+        if (!this.editor) {
+            return null;
+        }
+        const diagnostics = this.fileContents.flatMap(file => file.diagnostics || []);
+        const summary = {
+            openTabs: this.editor.openTabs,
+            unsaved: this.fileContents.filter(file => file.unsaved).map(file => file.path),
+            errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+            warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length
+        };
+        return summary.openTabs !== 'off' || summary.unsaved.length > 0 || diagnostics.length > 0 ? summary : null;
+    }
+
+    // Tokens before and after compression per level, or null when nothing is compressed
+    summarizeCompression() {
+        const byLevel = new Map();
+        this.fileContents.filter(file => file.compression).forEach(({ compression }) => {
+            const totals = byLevel.get(compression.level) || { level: compression.level, fileCount: 0, before: 0, after: 0 };
+            totals.fileCount++;
+            totals.before += compression.before;
+            totals.after += compression.after;
+            byLevel.set(compression.level, totals);
+        });
+        if ([...byLevel.keys()].every(level => level === 'none')) {
+            return null;
+        }
+        return Object.keys(compressionLevels).filter(level => byLevel.has(level)).map(level => byLevel.get(level));
+    }
+
+    // { binary, 'too-large', excluded } file counts
+    countSkipped() {
+        const counts = { binary: 0, 'too-large': 0, excluded: 0 };
+        this.skipped.forEach(reason => {
+            counts[reason]++;
+        });
+        return counts;
+    }
+
+    // The absolute path of a file in the tree, or null for any other path
+    toFsPath(relativePath) {
+        if (!this.allPaths.includes(relativePath)) {
+            return null;
+        }
+        const root = this.multiRoot
+            ? this.roots.find(candidate => relativePath.startsWith(candidate.prefix + path.sep))
+            : this.roots[0];
+        return root ? path.join(root.path, root.prefix ? relativePath.slice(root.prefix.length + 1) : relativePath) : null;
+    }
+
+    // One "name/" tree per scanned folder
+    renderStructure(relativePaths) {
+        if (!this.multiRoot) {
+            const root = this.roots[0];
+            return `${root ? path.basename(root.path) : ''}/\n` + this.printTree(buildTree(relativePaths));
+        }
+        const tree = buildTree(relativePaths);
+        return this.roots
+            .map(root => `${root.prefix}/\n` + this.printTree(tree[root.prefix] || {}))
+            .join('\n');
+    }
+
+    // Lists a folder's files, minus anything matched by ignore files and
+    // the ignore patterns. Both the tree and the file contents are built
+    // from this list.
+    async collectFiles(root) {
+        // The output file would otherwise end up inside the next prompt
+        const patterns = [...this.ignore.patterns];
+        const outputPath = this.outputPath ? path.relative(root.path, this.outputPath) : '';
+        if (outputPath && isInside(root.path, this.outputPath)) {
+            patterns.push('/' + outputPath.split(path.sep).join('/'));
+        }
+
+        const filter = new IgnoreFilter(root.path, { useGitignore: this.ignore.useGitignore, patterns });
+        root.ignoreFilter = filter;
+        const files = this.listFiles ? await this.listFiles(root.path) : await walkFiles(root.path, filter);
+        const relativePaths = files.map(fsPath => path.relative(root.path, fsPath));
+        const kept = new Set(await filter.filter(relativePaths));
+        return files.filter((fsPath, index) =>
+            kept.has(relativePaths[index]) && this.isIncluded(root, fsPath)
+        );
+    }
+
+    isIncluded(root, fsPath) {
+        if (this.includeGlobs && !this.includeGlobs.ignores(path.relative(root.path, fsPath).split(path.sep).join('/'))) {
+            return false;
+        }
+        if (!this.include) {
+            return true;
+        }
+        const relativePath = this.toRelativePath(root, fsPath);
+        return this.include.some(included =>
+            included === '' || relativePath === included || relativePath.startsWith(included + path.sep)
+        );
+    }
+
+    printTree(node, prefix = '   ', isLast = true) {
+        let result = '';
+        const entries = Object.entries(node);
+        entries.forEach(([key, value], index) => {
+            const isLastEntry = index === entries.length - 1;
+            const isDirectory = Object.keys(value).length > 0;
+            const marker = isLastEntry ? '└── ' : '├── ';
+            const formattedKey = isDirectory ? `${key}/` : key;
+            result += `${prefix}${marker}${formattedKey}\n`;
+            if (isDirectory) {
+                const newPrefix = prefix + (isLastEntry ? '    ' : '│   ');
+                result += this.printTree(value, newPrefix, isLastEntry);
+            }
+        });
+        return result;
+    }
+}
+
+function summarizeFiles(files) {
+    return {
+        fileCount: files.length,
+        totalSize: files.reduce((total, file) => total + file.size, 0),
+        estimatedTokens: files.reduce((total, file) => total + file.tokens, 0)
+    };
+}
+
+// Size and tokens of the selected files under each folder, keyed by the
+// folder's relative path like the tree nodes
+function summarizeFolders(files) {
+    const folders = new Map();
+    files.forEach(file => {
+        const parts = file.path.split(path.sep).slice(0, -1);
+        parts.forEach((part, index) => {
+            const folderPath = parts.slice(0, index + 1).join(path.sep);
+            const totals = folders.get(folderPath) || { size: 0, tokens: 0 };
+            totals.size += file.size;
+            totals.tokens += file.tokens;
+            folders.set(folderPath, totals);
+        });
+    });
+    return folders;
+}
+
+// Nests relative paths into { name: children } objects; files have no children
+function buildTree(relativePaths) {
+    const tree = {};
+    relativePaths.forEach(relativePath => {
+        const parts = relativePath.split(path.sep);
+        let current = tree;
+        parts.forEach(part => {
+            if (!current[part]) current[part] = {};
+            current = current[part];
+        });
+    });
+    return tree;
+}
+
+// Path patterns are gitignore-style globs against the paths in the tree,
+// several separated by spaces or commas; a word without glob characters
+// matches any path containing it. Content patterns are case-insensitive
+// regular expressions, which throw when invalid.
+function compileFilter(filter) {
+    if (!filter || !filter.pattern) {
+        return { filter: null, matcher: null };
+    }
+    const mode = filter.mode === 'content' ? 'content' : 'path';
+    let matcher;
+    if (mode === 'content') {
+        matcher = new RegExp(filter.pattern, 'i');
+    } else {
+        const globs = filter.pattern.split(/[\s,]+/).filter(Boolean)
+            .map(glob => (/[*?[\]/]/.test(glob) ? glob : `*${glob}*`));
+        matcher = ignore().add(globs);
+    }
+    return { filter: { mode, pattern: filter.pattern, only: !!filter.only }, matcher };
+}
+
+function isInside(folderPath, fsPath) {
+    const relative = path.relative(folderPath, fsPath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Every file below rootPath, without descending into node_modules, symlinked
+// folders or folders the filter ignores
+async function walkFiles(rootPath, filter) {
+    const files = [];
+    const visit = async dir => {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(rootPath, dir), { withFileTypes: true });
+        } catch {
+            return;
+        }
+        const folders = [];
+        for (const entry of entries) {
+            const relativePath = dir ? path.join(dir, entry.name) : entry.name;
+            if (entry.isDirectory()) {
+                if (entry.name === 'node_modules') {
+                    continue;
+                }
+                await filter.load([path.join(relativePath, '_')]);
+                if (!filter.isDirectoryIgnored(relativePath.split(path.sep).join('/'))) {
+                    folders.push(relativePath);
+                }
+            } else if (entry.isFile()) {
+                files.push(path.join(rootPath, relativePath));
+            } else if (entry.isSymbolicLink()) {
+                const stat = await fs.stat(path.join(rootPath, relativePath)).catch(() => null);
+                if (stat && stat.isFile()) {
+                    files.push(path.join(rootPath, relativePath));
+                }
+            }
+        }
+        for (const folder of folders) {
+            await visit(folder);
+        }
+    };
+    await visit('');
+    return files;
+}
+
+// The tree and files in the given format, wrapped in a prompt template when
+// one is named. Template variables only the editor knows are left empty.
+function formatPrompt(data, options = {}) {
+    const formatter = getFormatter(options.format || 'plain', options.customFormat);
+    if (!options.template) {
+        return formatOutput(formatter, { structure: data.structure, files: data.contents }, true);
+    }
+    const templates = getTemplates(options.templates);
+    const template = templates[options.template];
+    if (!template) {
+        throw new Error(`Unknown template "${options.template}", expected one of ${Object.keys(templates).join(', ')}`);
+    }
+    return renderTemplate(template, {
+        tree: data.structure,
+        files: formatOutput(formatter, { structure: data.structure, files: data.contents }),
+        selection: '',
+        diagnostics: '',
+        userQuestion: options.question || ''
+    });
+}
+
+// Scans the given folders, the current one when none are given, and
+// renders the prompt. Options:
+//   format, customFormat, template, templates, question  how to render it
+//   model                  tokenizer and budget model
+//   budget                 { maxTokens, truncate, priority, pinned, entryPoints }
+//   includeGlobs           gitignore-style patterns a file has to match
+//   exclude                gitignore-style patterns to leave out
+//   gitignore              false to ignore .gitignore and .ignore files
+//   redact                 false to keep secrets
+//   compression            'none', 'strip', 'minify' or 'skeleton'
+//   maxFileSizeKB          larger files are skipped, 0 for no limit
+//   git                    { mode, ref, commits, display } for changed files only
+//   include                relative paths to limit the scan to
+//   outputPath             where the prompt will be written, left out of the scan
+// Resolves with the scan result, as the extension's panel shows it, plus
+// the prompt text.
+async function ingest(folderPaths = [], options = {}) {
+    const folders = [];
+    (folderPaths.length > 0 ? folderPaths : ['.']).forEach(folderPath => {
+        const resolved = path.resolve(folderPath);
+        const name = path.basename(resolved) || resolved;
+        // Folder names prefix the paths, so two folders cannot share one
+        const taken = new Set(folders.map(folder => folder.name));
+        let unique = name;
+        for (let i = 2; taken.has(unique); i++) {
+            unique = `${name}-${i}`;
+        }
+        folders.push({ name: unique, path: resolved });
+    });
+
+    const engine = new IngestEngine({
+        folders,
+        model: options.model || null,
+        budget: options.budget || null,
+        formatter: getFormatter(options.format || 'plain', options.customFormat),
+        redactor: options.redact === false ? null : new Redactor(),
+        classifier: new FileClassifier({ maxFileSizeKB: options.maxFileSizeKB === undefined ? 1024 : options.maxFileSizeKB }),
+        compression: new CompressionPolicy({ level: options.compression || 'none' }),
+        git: options.git || null,
+        include: options.include || null,
+        includeGlobs: options.includeGlobs || null,
+        ignore: { useGitignore: options.gitignore !== false, patterns: options.exclude || [] },
+        outputPath: options.outputPath ? path.resolve(options.outputPath) : null
+    });
+    const data = await engine.generateStructure();
+    return { ...data, prompt: formatPrompt(data, options) };
+}
+
+module.exports = {
+    IngestEngine,
+    ingest,
+    formatPrompt,
+    buildTree,
+    summarizeFiles,
+    summarizeFolders,
+    walkFiles
+};
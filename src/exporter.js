@@ -0,0 +1,117 @@
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs').promises;
+
+// Wait this long after the last file event before rewriting the export
+const debounceMs = 500;
+
+// Writes the prompt to the file named by vsingest.export.path. In watch mode a
+// FileSystemWatcher feeds changes back into the last scan, so a save only
+// rereads the saved file before the export is rewritten.
+class PromptExporter {
+    // createProvider() returns an IngestEngine set up like the
+    // panel; render(data) turns its result into the prompt text.
+    constructor(createProvider, render) {
+        this._createProvider = createProvider;
+        this._render = render;
+        this._provider = null;
+        this._watcher = null;
+        this._timer = null;
+        this._changes = { changed: [], created: [], deleted: [] };
+        // Exports run one at a time, in the order they were requested
+        this._queue = Promise.resolve();
+        // An export waiting in the queue, shared by the requests made meanwhile
+        this._waiting = null;
+    }
+
+    getTargetPath() {
+        const root = vscode.workspace.workspaceFolders[0].uri.fsPath;
+        const target = vscode.workspace.getConfiguration('vsingest.export').get('path', '.vsingest/prompt.md');
+        return path.resolve(root, target);
+    }
+
+    // Full scan and write; resolves with the file path and the scan result.
+    // While a write is pending, repeated requests share the one queued after it.
+    export() {
+        if (!this._waiting) {
+            this._waiting = this.enqueue(() => {
+                this._waiting = null;
+                return this.exportNow();
+            });
+        }
+        return this._waiting;
+    }
+
+    async exportNow() {
+        const provider = this._createProvider();
+        const data = await provider.generateStructure();
+        this._provider = provider;
+        const targetPath = await this.write(data);
+        return { targetPath, data };
+    }
+
+    async write(data) {
+        const targetPath = this.getTargetPath();
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await fs.writeFile(targetPath, this._render(data), 'utf-8');
+        return targetPath;
+    }
+
+    enqueue(task) {
+        const run = this._queue.then(task);
+        // Keep the queue alive after a failed export
+        this._queue = run.catch(() => {});
+        return run;
+    }
+
+    // For exports nobody awaits: failures are reported instead of thrown
+    background(task) {
+        this.enqueue(task).catch(error => {
+            vscode.window.showErrorMessage(`VSingest: Export failed: ${error.message}`);
+        });
+    }
+
+    setWatching(enabled) {
+        if (enabled && !this._watcher) {
+            this._watcher = vscode.workspace.createFileSystemWatcher('**/*');
+            this._watcher.onDidChange(uri => this.schedule('changed', uri));
+            this._watcher.onDidCreate(uri => this.schedule('created', uri));
+            this._watcher.onDidDelete(uri => this.schedule('deleted', uri));
+            this.background(() => this.exportNow());
+        } else if (!enabled && this._watcher) {
+            this._watcher.dispose();
+            this._watcher = null;
+            clearTimeout(this._timer);
+        }
+    }
+
+    schedule(kind, uri) {
+        // Writing the export raises events of its own
+        if (uri.fsPath === this.getTargetPath() || uri.fsPath.split(path.sep).includes('.git')) {
+            return;
+        }
+        this._changes[kind].push(uri.fsPath);
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => {
+            const changes = this._changes;
+            this._changes = { changed: [], created: [], deleted: [] };
+            this.background(() => this.update(changes));
+        }, debounceMs);
+    }
+
+    async update(changes) {
+        if (!this._provider || !(await this._provider.applyChanges(changes))) {
+            await this.exportNow();
+            return;
+        }
+        await this.write(this._provider.applySelection(this._provider.excluded));
+    }
+
+    dispose() {
+        this.setWatching(false);
+    }
+}
+
+module.exports = {
+    PromptExporter
+};
@@ -1,115 +1,1085 @@
 const vscode = require('vscode');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { countTokens, setCustomEncodings, freeEncoders } = require('./tokenizer');
+const { excludeGlob } = require('./ignore');
+const { splitIntoParts } = require('./chunking');
+const { formatters, getFormatter, formatOutput, languageForPath, markdownFence } = require('./formatters');
+const { IngestEngine, summarizeFolders } = require('./engine');
+const { PromptExporter } = require('./exporter');
+const { FileCache } = require('./fileCache');
+const { Redactor } = require('./redaction');
+const { FileClassifier } = require('./textDetection');
+const { modes: gitModes } = require('./git');
+const { levels: compressionLevels, CompressionPolicy } = require('./compression');
+const { getModels, estimateCost, usageCost, fitsContext } = require('./models');
+const { providers: llmProviders, streamCompletion } = require('./llm');
+const { getTemplates, usesVariable, renderTemplate } = require('./templates');
+const { profilesPath, exampleProfiles, profileError, readProfiles } = require('./profiles');
+const { normalizeSubdir, parseGitSource, repositoryName, cloneRepository, removeClone } = require('./sources');
+
+// Wait this long after the last file event before patching the visible panel
+const refreshDelayMs = 300;
+
+async function activate(context) {
+    const cache = new FileCache(
+        context.storageUri ? path.join(context.storageUri.fsPath, 'file-cache.json') : null
+    );
+    await cache.load();
 
-const textFileExtensions = new Set([
-    // Programming languages
-    '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.c', '.cpp', '.cs', '.go', '.rb', '.php',
-    '.html', '.css', '.scss', '.sass', '.less', '.vue', '.svelte',
-    // Data formats
-    '.json', '.xml', '.yaml', '.yml', '.toml', '.ini', '.env',
-    // Documentation
-    '.md', '.txt', '.rst', '.tex',
-    // Configuration
-    '.config', '.conf', '.cfg',
-    // Shell scripts
-    '.sh', '.bash', '.zsh', '.fish',
-    // Other common text formats
-    '.csv', '.sql', '.graphql', '.prisma'
-]);
-
-const modelRates = {
-    'openai-o1': { 
-        input: 15, 
-        output: 60,
-        unit: 'per 1M tokens'
-    },
-    'openai-o3-mini': { 
-        input: 1.10, 
-        output: 4.40,
-        unit: 'per 1M tokens'
-    },
-    'gpt-4o': { 
-        input: 5, 
-        output: 15,
-        unit: 'per 1M tokens'
-    },
-    'gpt-4-turbo': { 
-        input: 10, 
-        output: 30,
-        unit: 'per 1M tokens'
-    },
-    'gpt-3.5-turbo': { 
-        input: 0.5, 
-        output: 1.5,
-        unit: 'per 1M tokens'
-    },
-    'claude-3-opus': { 
-        input: 15, 
-        output: 75,
-        unit: 'per 1M tokens'
-    },
-    'claude-3-sonnet': { 
-        input: 3, 
-        output: 15,
-        unit: 'per 1M tokens'
-    },
-    'claude-3-haiku': { 
-        input: 0.25, 
-        output: 1.25,
-        unit: 'per 1M tokens'
-    },
-    'gemini-pro': { 
-        input: 2.5, 
-        output: 7.5,
-        unit: 'per 1M tokens'
-    },
-    'gemini-ultra': { 
-        input: 25, 
-        output: 75,
-        unit: 'per 1M tokens'
+    const exporter = new PromptExporter(
+        () => createProvider(context.workspaceState, cache),
+        data => renderPrompt(context.workspaceState, data)
+    );
+    if (vscode.workspace.workspaceFolders && vscode.workspace.getConfiguration('vsingest.export').get('watch', false)) {
+        exporter.setWatching(true);
     }
-};
 
-function isTextFile(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    return textFileExtensions.has(ext);
+    // Create and register a new webview view provider
+    const provider = new ViewProvider(context, exporter, cache);
+
+    // Keeps the panel's last scan current without rescanning the workspace
+    const watcher = vscode.workspace.createFileSystemWatcher('**/*');
+    watcher.onDidChange(uri => provider.onFileEvent('changed', uri));
+    watcher.onDidCreate(uri => provider.onFileEvent('created', uri));
+    watcher.onDidDelete(uri => {
+        cache.invalidate(uri.fsPath);
+        provider.onFileEvent('deleted', uri);
+    });
+
+    // Unsaved edits, reverted or discarded buffers and new diagnostics change
+    // what the editor context adds, without touching the disk
+    const editorConfig = () => vscode.workspace.getConfiguration('vsingest.editor');
+    const onDocument = document => {
+        if (document.uri.scheme === 'file' && editorConfig().get('unsavedChanges', true)) {
+            provider.onFileEvent('changed', document.uri);
+        }
+    };
+
+    context.subscriptions.push(
+        cache,
+        exporter,
+        watcher,
+        vscode.workspace.onDidChangeTextDocument(event => onDocument(event.document)),
+        vscode.workspace.onDidCloseTextDocument(onDocument),
+        vscode.languages.onDidChangeDiagnostics(event => {
+            if (editorConfig().get('diagnostics', 'off') !== 'off') {
+                event.uris.filter(uri => uri.scheme === 'file').forEach(uri => provider.onFileEvent('changed', uri));
+            }
+        }),
+        vscode.window.tabGroups.onDidChangeTabs(() => provider.onTabsChanged(editorConfig().get('openTabs', 'off'))),
+        vscode.window.registerWebviewViewProvider('vsingestView', provider, {
+            // The page is patched with postMessage, so it has to survive being hidden
+            webviewOptions: { retainContextWhenHidden: true }
+        }),
+        vscode.workspace.onDidChangeConfiguration(async (event) => {
+            if (event.affectsConfiguration('vsingest.export.watch')) {
+                exporter.setWatching(
+                    !!vscode.workspace.workspaceFolders && vscode.workspace.getConfiguration('vsingest.export').get('watch', false)
+                );
+            }
+            if (event.affectsConfiguration('vsingest')) {
+                try {
+                    await provider.updateContent();
+                } catch (error) {
+                    provider.reportError(error);
+                }
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.exportPrompt', () => exportPrompt(exporter)),
+        vscode.commands.registerCommand('vsingest.selectGitMode', () => selectGitMode()),
+        vscode.commands.registerCommand('vsingest.traceDependencies', async (uri, uris) => {
+            // Explorer and editor menus pass the clicked files, the palette the active editor
+            const selected = uris && uris.length > 0 ? uris : (uri ? [uri] : null);
+            if (await setDependencyEntries(context.workspaceState, selected)) {
+                await provider.updateContent();
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.clearDependencies', async () => {
+            await setDependencyEntries(context.workspaceState, []);
+            await provider.updateContent();
+        }),
+        vscode.commands.registerCommand('vsingest.setApiKey', async () => {
+            const picked = await vscode.window.showQuickPick(
+                Object.entries(llmProviders).map(([name, provider]) => ({ label: provider.label, name })),
+                { placeHolder: 'Provider to store an API key for' }
+            );
+            if (picked && await promptForApiKey(context.secrets, picked.name)) {
+                vscode.window.showInformationMessage(`VSingest: Saved the ${picked.label} API key.`);
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.clearApiKeys', async () => {
+            await Promise.all(Object.keys(llmProviders).map(name => context.secrets.delete(apiKeySecret(name))));
+            vscode.window.showInformationMessage('VSingest: Removed the stored API keys.');
+        }),
+        vscode.commands.registerCommand('vsingest.selectProfile', async () => {
+            if (await selectProfile(context.workspaceState)) {
+                await provider.updateContent();
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.ingestFolder', async () => {
+            if (await ingestFolder(context.workspaceState)) {
+                await provider.updateContent();
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.ingestGitUrl', async () => {
+            if (await ingestGitUrl(context.workspaceState)) {
+                await provider.updateContent();
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.selectTemplate', async () => {
+            if (await selectTemplate(context.workspaceState)) {
+                await provider.updateContent();
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.toggleExportWatch', () => {
+            const config = vscode.workspace.getConfiguration('vsingest.export');
+            return config.update('watch', !config.get('watch', false), vscode.ConfigurationTarget.Workspace);
+        }),
+        vscode.commands.registerCommand('vsingest.copyWorkspacePrompt', () =>
+            copyPrompt(context.workspaceState, cache)
+        ),
+        vscode.commands.registerCommand('vsingest.copySelectedPrompt', async (uri, uris) => {
+            // Explorer passes the clicked item and the whole multi-selection;
+            // from the command palette there is neither, so ask for them
+            let selected = uris && uris.length > 0 ? uris : (uri ? [uri] : null);
+            if (!selected) {
+                selected = await vscode.window.showOpenDialog({
+                    canSelectFiles: true,
+                    canSelectFolders: true,
+                    canSelectMany: true,
+                    defaultUri: vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri : undefined,
+                    openLabel: 'Copy Prompt'
+                });
+            }
+            if (selected && selected.length > 0) {
+                await copyPrompt(context.workspaceState, cache, selected);
+            }
+        }),
+        vscode.commands.registerCommand('vsingest.copyOpenEditorsPrompt', () =>
+            copyPrompt(context.workspaceState, cache, getOpenEditorUris())
+        )
+    );
 }
 
-function calculateTokenCost(tokens, modelName = null) {
-    // If no model is selected, return placeholder
-    if (!modelName) {
-        return '0';
+// A provider set up like the panel: model, budget, checkbox selection, root
+// folder and profile. uris limit it to those files, ignoring the selection
+// and profile; the panel adds its filter and the source of an external tab.
+function createProvider(state, cache, uris = null, filter = null, source = null) {
+    const rootName = state.get('vsingest.root', '');
+    // Custom models may bring their own encodings
+    getModelRegistry();
+    const editor = createEditorContext();
+    let include = uris ? uris.map(workspaceRelativePath).filter(relativePath => relativePath !== null) : null;
+    if (!uris && !source && editor.openTabs === 'only') {
+        include = editor.openPaths;
     }
+    const entries = uris || source ? [] : state.get('vsingest.dependencyEntries', []);
+    const config = vscode.workspace.getConfiguration('vsingest');
+    const folders = vscode.workspace.workspaceFolders || [];
+    const profile = uris || source ? null : getActiveProfile(state);
+    return new IngestEngine({
+        folders: source
+            ? [{ name: source.name, path: source.path }]
+            : folders.map(folder => ({ name: folder.name, path: folder.uri.fsPath })),
+        listFiles: source ? null : findWorkspaceFiles,
+        ignore: {
+            useGitignore: config.get('respectGitignore', true),
+            patterns: [...config.get('exclude', []), ...(profile ? profile.exclude : [])]
+        },
+        includeGlobs: profile ? profile.include : null,
+        filter,
+        // Relative to the first folder, like PromptExporter resolves it
+        outputPath: folders.length > 0
+            ? path.resolve(folders[0].uri.fsPath, config.get('export.path', '.vsingest/prompt.md'))
+            : null,
+        cache,
+        model: state.get('vsingest.model', null),
+        excluded: uris ? [] : state.get(excludedKey(source), []),
+        budget: getBudgetOptions(),
+        formatter: getConfiguredFormatter(state.get('vsingest.format', 'plain')),
+        redactor: createRedactor(),
+        classifier: createClassifier(),
+        git: getGitOptions(),
+        compression: createCompressionPolicy(),
+        editor,
+        dependencies: entries.length > 0
+            ? { entries, depth: vscode.workspace.getConfiguration('vsingest.dependencies').get('depth', 3) }
+            : null,
+        include,
+        roots: !uris && !source && rootName ? [rootName] : null
+    });
+}
 
-    const selectedModel = modelRates[modelName] || modelRates['claude-3-sonnet'];
-    const tokensInMillions = tokens / 1_000_000;
-    return (tokensInMillions * selectedModel.input).toFixed(6);
+// Saves the files to trace imports from, by default the active editor's;
+// an empty list goes back to ingesting every file. Resolves with false when
+// there is nothing to trace.
+async function setDependencyEntries(state, uris = null) {
+    if (!uris) {
+        const editor = vscode.window.activeTextEditor;
+        uris = editor && editor.document.uri.scheme === 'file' ? [editor.document.uri] : [];
+        if (uris.length === 0) {
+            vscode.window.showWarningMessage('VSingest: Open a file to trace its imports.');
+            return false;
+        }
+    }
+    const entries = uris.map(workspaceRelativePath).filter(relativePath => relativePath !== null);
+    if (uris.length > 0 && entries.length === 0) {
+        vscode.window.showWarningMessage('VSingest: Only files in the workspace can be traced.');
+        return false;
+    }
+    await state.update('vsingest.dependencyEntries', entries);
+    return true;
 }
 
-function activate(context) {
-    // Create and register a new webview view provider
-    const provider = new ViewProvider(context.extensionUri);
-    context.subscriptions.push(
-        vscode.window.registerWebviewViewProvider('vsingestView', provider)
+// What the editor knows beyond the disk, from the vsingest.editor settings:
+// unsaved text, errors and warnings per file and the open tabs
+function createEditorContext() {
+    const config = vscode.workspace.getConfiguration('vsingest.editor');
+    const readUnsaved = config.get('unsavedChanges', true);
+    const severity = config.get('diagnostics', 'off');
+    const maxSeverity = { errors: vscode.DiagnosticSeverity.Error, warnings: vscode.DiagnosticSeverity.Warning }[severity];
+    return {
+        openTabs: config.get('openTabs', 'off'),
+        openPaths: getOpenEditorPaths(),
+        unsavedText: fsPath => {
+            if (!readUnsaved) {
+                return null;
+            }
+            const document = vscode.workspace.textDocuments.find(doc =>
+                doc.isDirty && doc.uri.scheme === 'file' && doc.uri.fsPath === fsPath
+            );
+            return document ? document.getText() : null;
+        },
+        diagnostics: fsPath => {
+            if (maxSeverity === undefined) {
+                return [];
+            }
+            return vscode.languages.getDiagnostics(vscode.Uri.file(fsPath))
+                .filter(diagnostic => diagnostic.severity <= maxSeverity)
+                .sort((a, b) => a.range.start.line - b.range.start.line || a.severity - b.severity)
+                .map(diagnostic => ({
+                    line: diagnostic.range.start.line + 1,
+                    column: diagnostic.range.start.character + 1,
+                    severity: diagnostic.severity === vscode.DiagnosticSeverity.Error ? 'error' : 'warning',
+                    message: diagnostic.message,
+                    source: diagnostic.source || null
+                }));
+        }
+    };
+}
+
+// Lists a workspace folder's files through VS Code's search, minus
+// node_modules and, unless vsingest.useExcludeSettings is off, the
+// files.exclude and search.exclude globs
+async function findWorkspaceFiles(rootPath) {
+    const rootUri = vscode.Uri.file(rootPath);
+    const excludeMaps = [{ '**/node_modules/**': true }];
+    if (vscode.workspace.getConfiguration('vsingest').get('useExcludeSettings', true)) {
+        excludeMaps.push(
+            vscode.workspace.getConfiguration('files', rootUri).get('exclude'),
+            vscode.workspace.getConfiguration('search', rootUri).get('exclude')
+        );
+    }
+    const files = await vscode.workspace.findFiles(new vscode.RelativePattern(rootUri, '**/*'), excludeGlob(...excludeMaps));
+    return files.map(file => file.fsPath);
+}
+
+// A file's path as IngestEngine names it: relative to its
+// workspace folder, behind the folder's name in multi-root workspaces
+function workspaceRelativePath(uri) {
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) {
+        return null;
+    }
+    const withinFolder = path.relative(folder.uri.fsPath, uri.fsPath);
+    return vscode.workspace.workspaceFolders.length > 1 ? path.join(folder.name, withinFolder) : withinFolder;
+}
+
+// Asks for the mode when none is given, then for the ref or commit count and
+// how to show the changes, and saves the answers to the workspace settings.
+// The configuration listener rescans. Resolves with false when cancelled.
+async function selectGitMode(mode = null) {
+    const config = vscode.workspace.getConfiguration('vsingest.git');
+    const target = vscode.workspace.workspaceFolders ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global;
+    if (!mode) {
+        const picked = await vscode.window.showQuickPick(
+            [{ label: 'All Files', mode: 'off' }, ...Object.entries(gitModes).map(([value, label]) => ({ label, mode: value }))],
+            { placeHolder: 'Files to ingest' }
+        );
+        if (!picked) {
+            return false;
+        }
+        mode = picked.mode;
+    }
+
+    if (mode === 'ref') {
+        const ref = await vscode.window.showInputBox({
+            prompt: 'Branch, tag or commit to compare against',
+            value: config.get('ref', 'main')
+        });
+        if (!ref) {
+            return false;
+        }
+        await config.update('ref', ref.trim(), target);
+    } else if (mode === 'commits') {
+        const count = await vscode.window.showInputBox({
+            prompt: 'Number of recent commits',
+            value: String(config.get('commits', 1)),
+            validateInput: value => (/^[1-9]\d*$/.test(value.trim()) ? null : 'Enter a positive whole number')
+        });
+        if (!count) {
+            return false;
+        }
+        await config.update('commits', Number(count.trim()), target);
+    }
+
+    if (mode !== 'off') {
+        const display = await vscode.window.showQuickPick([
+            { label: 'Full Content', description: 'The changed files as they are now', value: 'full' },
+            { label: 'Diff', description: 'Unified diffs only', value: 'diff' },
+            { label: 'Content and Diff', description: 'Both, diff after the content', value: 'both' }
+        ], { placeHolder: 'How to show changed files' });
+        if (!display) {
+            return false;
+        }
+        await config.update('display', display.value, target);
+    }
+    await config.update('mode', mode, target);
+    return true;
+}
+
+// Built-in models plus vsingest.models, keyed by id. Also hands the custom
+// models' encodings to the tokenizer.
+function getModelRegistry() {
+    const customModels = vscode.workspace.getConfiguration('vsingest').get('models', {});
+    setCustomEncodings(customModels);
+    return getModels(customModels);
+}
+
+// Null unless vsingest.git.mode picks one of the git modes
+function getGitOptions() {
+    const config = vscode.workspace.getConfiguration('vsingest.git');
+    const mode = config.get('mode', 'off');
+    if (!gitModes[mode]) {
+        return null;
+    }
+    return {
+        mode,
+        ref: config.get('ref', 'main'),
+        commits: config.get('commits', 1),
+        display: config.get('display', 'full')
+    };
+}
+
+// Open editors stay uncompressed unless vsingest.compression.fullForOpenEditors is off
+function createCompressionPolicy() {
+    const config = vscode.workspace.getConfiguration('vsingest.compression');
+    return new CompressionPolicy({
+        level: config.get('level', 'none'),
+        paths: config.get('paths', {}),
+        full: config.get('fullForOpenEditors', true)
+            ? getOpenEditorUris().map(workspaceRelativePath).filter(relativePath => relativePath !== null)
+            : []
+    });
+}
+
+function createClassifier() {
+    const config = vscode.workspace.getConfiguration('vsingest.files');
+    return new FileClassifier({
+        text: config.get('text', []),
+        skip: config.get('skip', []),
+        maxFileSizeKB: config.get('maxFileSizeKB', 1024)
+    });
+}
+
+// Warnings already shown for invalid patterns, so rescans do not repeat them
+const reportedRedactionErrors = new Set();
+
+// Null when redaction is turned off
+function createRedactor() {
+    const config = vscode.workspace.getConfiguration('vsingest.redaction');
+    if (!config.get('enabled', true)) {
+        return null;
+    }
+    const redactor = new Redactor({
+        disabledRules: config.get('disabledRules', []),
+        customRules: config.get('customRules', []),
+        allow: config.get('allow', [])
+    });
+    redactor.errors.filter(error => !reportedRedactionErrors.has(error)).forEach(error => {
+        reportedRedactionErrors.add(error);
+        vscode.window.showWarningMessage(`VSingest: Skipped the ${error}`);
+    });
+    return redactor;
+}
+
+// Throws when vsingest.redaction.blockOnSecrets is on and the files held
+// secrets, so nothing leaves the editor until they are reviewed
+function checkSecrets(data) {
+    const redactions = data.summary.redactions || [];
+    if (redactions.length === 0 || !vscode.workspace.getConfiguration('vsingest.redaction').get('blockOnSecrets', false)) {
+        return;
+    }
+    const files = [...new Set(redactions.map(redaction => redaction.path))];
+    throw new Error(
+        `Blocked because ${redactions.length} secrets were found in ${files.join(', ')}. `
+        + 'Review them in the summary, allow them with vsingest.redaction.allow or turn off vsingest.redaction.blockOnSecrets.'
+    );
+}
+
+// The tree and files in the panel's output format, as copied by "Copy All".
+// A prompt template picked in the panel wraps them in its instructions.
+function renderPrompt(state, data) {
+    checkSecrets(data);
+    const formatter = getConfiguredFormatter(state.get('vsingest.format', 'plain'));
+    const template = getTemplateRegistry()[state.get('vsingest.template', '')];
+    const selection = selectionToAppend(template);
+    if (!template) {
+        const output = formatOutput(formatter, { structure: data.structure, files: data.contents }, true);
+        return selection ? `${output.trimEnd()}\n\n${selection}\n` : output;
+    }
+    const prompt = renderTemplate(template, templateValues(state, data, template,
+        formatOutput(formatter, { structure: data.structure, files: data.contents })));
+    return selection ? `${prompt}\n${selection}\n` : prompt;
+}
+
+// The active selection when vsingest.editor.selection asks for it and the
+// template does not already place it with {{selection}}
+function selectionToAppend(template) {
+    if (!vscode.workspace.getConfiguration('vsingest.editor').get('selection', false)) {
+        return '';
+    }
+    return template && usesVariable(template, 'selection') ? '' : describeSelection();
+}
+
+function templateValues(state, data, template, files) {
+    return {
+        tree: data.structure,
+        files,
+        selection: usesVariable(template, 'selection') ? describeSelection() : '',
+        diagnostics: usesVariable(template, 'diagnostics') ? describeDiagnostics(data.contents) : '',
+        userQuestion: state.get('vsingest.userQuestion', '')
+    };
+}
+
+// The prompt "Copy All" would copy, split into parts of at most maxTokens.
+// A template's text before {{files}} opens the first part and the text
+// after it closes the last one.
+function splitPrompt(state, data, maxTokens) {
+    checkSecrets(data);
+    const formatter = getConfiguredFormatter(state.get('vsingest.format', 'plain'));
+    const template = getTemplateRegistry()[state.get('vsingest.template', '')];
+    const options = { maxTokens, model: data.summary.model };
+    const selection = selectionToAppend(template);
+    if (!template) {
+        return splitIntoParts(formatter, {
+            structure: data.structure,
+            files: data.contents,
+            includeTree: true,
+            after: selection
+        }, options);
+    }
+    const marker = '\u0000files\u0000';
+    const [before, after = null] = renderTemplate(template, templateValues(state, data, template, marker)).split(marker);
+    return splitIntoParts(formatter, {
+        structure: data.structure,
+        files: after === null ? [] : data.contents,
+        before: before.trim(),
+        after: [(after || '').trim(), selection].filter(Boolean).join('\n\n')
+    }, options);
+}
+
+function getTemplateRegistry() {
+    return getTemplates(vscode.workspace.getConfiguration('vsingest').get('templates', {}));
+}
+
+// The active editor's selection with its path and line numbers, secrets
+// redacted; '' when nothing is selected
+function describeSelection() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || editor.selection.isEmpty) {
+        return '';
+    }
+    const { start, end } = editor.selection;
+    const filePath = workspaceRelativePath(editor.document.uri) || editor.document.uri.fsPath;
+    const redactor = createRedactor();
+    const text = editor.document.getText(editor.selection);
+    const content = redactor ? redactor.redact(text, filePath).content : text;
+    const fence = markdownFence(content);
+    return `Selected code from ${filePath}, lines ${start.line + 1}-${end.line + 1}:\n`
+        + `${fence}${languageForPath(filePath)}\n${content}\n${fence}`;
+}
+
+// Errors and warnings VS Code reports for the ingested files
+function describeDiagnostics(files) {
+    const lines = [];
+    files.forEach(file => {
+        vscode.languages.getDiagnostics(vscode.Uri.file(file.fsPath))
+            .filter(diagnostic => diagnostic.severity <= vscode.DiagnosticSeverity.Warning)
+            .forEach(diagnostic => {
+                const { line, character } = diagnostic.range.start;
+                const severity = diagnostic.severity === vscode.DiagnosticSeverity.Error ? 'error' : 'warning';
+                lines.push(`- ${file.path}:${line + 1}:${character + 1} ${severity}: ${diagnostic.message}`);
+            });
+    });
+    return lines.length > 0 ? `Diagnostics:\n${lines.join('\n')}` : '';
+}
+
+// Endpoint, API model id and pricing for "Send". The model comes from
+// vsingest.llm.model or else the panel's selection; the provider from
+// vsingest.llm.provider or else the model's name.
+function getSendTarget(state) {
+    const config = vscode.workspace.getConfiguration('vsingest.llm');
+    const models = getModelRegistry();
+    const modelId = config.get('model', '') || state.get('vsingest.model', null);
+    const pricing = models[modelId] || models[state.get('vsingest.model', null)] || null;
+    const model = models[modelId] && models[modelId].apiModel ? models[modelId].apiModel : modelId;
+    let provider = config.get('provider', 'auto');
+    if (!llmProviders[provider]) {
+        provider = /^claude-/.test(model || '') ? 'anthropic' : 'openai';
+    }
+    return {
+        provider,
+        baseUrl: config.get('baseUrl', ''),
+        model,
+        maxOutputTokens: config.get('maxOutputTokens', 4096),
+        pricing
+    };
+}
+
+function apiKeySecret(provider) {
+    return `vsingest.apiKey.${provider}`;
+}
+
+// Asks for a key and keeps it in SecretStorage; resolves with it or undefined
+async function promptForApiKey(secrets, provider) {
+    const apiKey = await vscode.window.showInputBox({
+        prompt: `API key for ${llmProviders[provider].label}, stored in VS Code's secret storage`,
+        password: true,
+        ignoreFocusOut: true
+    });
+    if (apiKey) {
+        await secrets.store(apiKeySecret(provider), apiKey.trim());
+        return apiKey.trim();
+    }
+    return undefined;
+}
+
+// Estimated tokens and cost, then the usage the API reported once it is done
+function renderUsage(target, estimatedTokens, usage) {
+    const cost = dollars => (target.pricing ? formatCost(dollars) : 'no pricing');
+    const estimate = target.pricing ? estimateCost(target.pricing, estimatedTokens, 0).input : 0;
+    let html = `<div class="summary-item">${escapeHtml(llmProviders[target.provider].label)} · ${escapeHtml(target.model)}</div>`
+        + `<div class="summary-item">Estimated: ${formatNumber(estimatedTokens)} input tokens, ${cost(estimate)}</div>`;
+    if (usage) {
+        const cacheNotes = [
+            ...(usage.cachedInputTokens ? [`${formatNumber(usage.cachedInputTokens)} cached`] : []),
+            ...(usage.cacheWriteTokens ? [`${formatNumber(usage.cacheWriteTokens)} written to the cache`] : [])
+        ];
+        const cached = cacheNotes.length > 0 ? ` (${cacheNotes.join(', ')})` : '';
+        html += `<div class="summary-item">Actual: ${formatNumber(usage.inputTokens)} input${cached} + `
+            + `${formatNumber(usage.outputTokens)} output tokens, ${cost(target.pricing ? usageCost(target.pricing, usage) : 0)}</div>`;
+    }
+    return html;
+}
+
+// Profiles from .vsingest/profiles.json in the first workspace folder
+function getProfiles() {
+    const folders = vscode.workspace.workspaceFolders;
+    return folders ? readProfiles(folders[0].uri.fsPath) : { profiles: {}, error: null };
+}
+
+// Null when no profile is picked or the picked one was removed from the file
+function getActiveProfile(state) {
+    const name = state.get('vsingest.profile', '');
+    return name ? getProfiles().profiles[name] || null : null;
+}
+
+function isProfilesFile(uri) {
+    const folders = vscode.workspace.workspaceFolders;
+    return !!folders && uri.fsPath === path.join(folders[0].uri.fsPath, profilesPath);
+}
+
+// Makes a profile the active one and puts its format, model, template and
+// budget into the panel's selectors, where they can still be changed.
+// Fields the profile leaves out keep their values. An empty name only
+// clears the active profile; its globs stop applying with the next scan.
+// Resolves with false when the profile is invalid and nothing changed.
+async function applyProfile(state, name) {
+    const profile = name ? getProfiles().profiles[name] : null;
+    const error = profile ? profileError(profile) : null;
+    if (error) {
+        vscode.window.showErrorMessage(`VSingest: ${error}`);
+        return false;
+    }
+    await state.update('vsingest.profile', name);
+    if (!profile) {
+        return true;
+    }
+    if (profile.format) {
+        await state.update('vsingest.format', profile.format);
+    }
+    if (profile.model) {
+        await state.update('vsingest.model', profile.model);
+    }
+    if (profile.template && getTemplateRegistry()[profile.template]) {
+        await state.update('vsingest.template', profile.template);
+    }
+    const config = vscode.workspace.getConfiguration('vsingest');
+    if (profile.budget !== null && profile.budget !== config.get('budget.maxTokens', 0)) {
+        await config.update('budget.maxTokens', profile.budget, vscode.ConfigurationTarget.Workspace);
+    }
+    return true;
+}
+
+function describeProfile(profile) {
+    return [
+        profile.include.join(', '),
+        profile.format,
+        profile.model,
+        profile.budget !== null ? `${formatNumber(profile.budget)} tokens` : null,
+        profile.template
+    ].filter(Boolean).join(' · ');
+}
+
+// Quick pick over the profiles. Without a profiles file it offers to write
+// an example one. Resolves with false when nothing changed.
+async function selectProfile(state) {
+    if (!vscode.workspace.workspaceFolders) {
+        vscode.window.showWarningMessage('VSingest: No workspace folder open.');
+        return false;
+    }
+    const { profiles, error } = getProfiles();
+    if (error) {
+        vscode.window.showErrorMessage(`VSingest: ${error}`);
+        return false;
+    }
+    if (Object.keys(profiles).length === 0) {
+        const choice = await vscode.window.showInformationMessage(
+            `VSingest: No profiles in ${profilesPath.split(path.sep).join('/')} yet.`,
+            'Create Example'
+        );
+        if (choice) {
+            const filePath = path.join(vscode.workspace.workspaceFolders[0].uri.fsPath, profilesPath);
+            await vscode.workspace.fs.writeFile(vscode.Uri.file(filePath), Buffer.from(JSON.stringify(exampleProfiles, null, 4) + '\n'));
+            await vscode.window.showTextDocument(vscode.Uri.file(filePath));
+        }
+        return false;
+    }
+    const current = state.get('vsingest.profile', '');
+    const picked = await vscode.window.showQuickPick(
+        [
+            { label: 'No Profile', name: '' },
+            ...Object.values(profiles).map(profile => ({
+                label: profile.name,
+                description: describeProfile(profile),
+                picked: profile.name === current,
+                name: profile.name
+            }))
+        ],
+        { placeHolder: 'Profile for the panel, export and the copy commands' }
+    );
+    if (!picked) {
+        return false;
+    }
+    return applyProfile(state, picked.name);
+}
+
+// Quick pick over the templates; the panel has the same list
+async function selectTemplate(state) {
+    const templates = Object.values(getTemplateRegistry());
+    const picked = await vscode.window.showQuickPick(
+        [{ label: 'No Template', id: '' }, ...templates.map(template => ({ label: template.label, id: template.id }))],
+        { placeHolder: 'Prompt template for Copy All, export and the copy commands' }
+    );
+    if (!picked) {
+        return false;
+    }
+    await state.update('vsingest.template', picked.id);
+    if (picked.id && usesVariable(getTemplateRegistry()[picked.id], 'userQuestion')) {
+        const question = await vscode.window.showInputBox({
+            prompt: 'Question or task for the template (optional)',
+            value: state.get('vsingest.userQuestion', '')
+        });
+        if (question !== undefined) {
+            await state.update('vsingest.userQuestion', question);
+        }
+    }
+    return true;
+}
+
+// Folders and repositories ingested next to the workspace, one panel tab
+// each, as { id, kind: 'folder' or 'git', name, label, path } plus the
+// url, branch and subdir of a clone. path is the folder that is scanned.
+function getSources(state) {
+    return state.get('vsingest.sources', []);
+}
+
+// Null while the workspace tab is shown
+function getActiveSource(state) {
+    const id = state.get('vsingest.source', '');
+    return id ? getSources(state).find(source => source.id === id) || null : null;
+}
+
+// Every tab keeps its own checkbox selection
+function excludedKey(source) {
+    return source ? `vsingest.excluded.${source.id}` : 'vsingest.excluded';
+}
+
+// Adds the tab, or updates the one with the same id, and shows it
+async function openSource(state, source) {
+    const sources = getSources(state).filter(existing => existing.id !== source.id);
+    await state.update('vsingest.sources', [...sources, source]);
+    await state.update('vsingest.source', source.id);
+}
+
+// Closes a tab and deletes its clone; the workspace tab cannot be closed
+async function closeSource(state, id) {
+    const source = getSources(state).find(existing => existing.id === id);
+    if (!source) {
+        return;
+    }
+    await state.update('vsingest.sources', getSources(state).filter(existing => existing.id !== id));
+    await state.update(`vsingest.excluded.${id}`, undefined);
+    if (state.get('vsingest.source', '') === id) {
+        await state.update('vsingest.source', '');
+    }
+    if (source.kind === 'git') {
+        await removeClone(source);
+    }
+}
+
+async function ingestFolder(state) {
+    const picked = await vscode.window.showOpenDialog({
+        canSelectFiles: false,
+        canSelectFolders: true,
+        canSelectMany: false,
+        openLabel: 'Ingest'
+    });
+    if (!picked || picked.length === 0) {
+        return false;
+    }
+    const folderPath = picked[0].fsPath;
+    const name = path.basename(folderPath) || folderPath;
+    await openSource(state, { id: `folder:${folderPath}`, kind: 'folder', name, label: name, path: folderPath });
+    return true;
+}
+
+function cloneWithProgress(source, refresh) {
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `VSingest: Cloning ${source.url}...`
+    }, () => cloneRepository(source, { refresh }));
+}
+
+// Asks for the repository, then for the branch and subfolder unless the URL
+// names them, and clones it. Asking again for a repository that has a tab
+// fetches it anew. Resolves with false when cancelled or the clone failed.
+async function ingestGitUrl(state) {
+    const input = await vscode.window.showInputBox({
+        title: 'Ingest Git URL',
+        prompt: 'Repository URL or absolute path of a local repository. The web URL of a folder on a branch also picks the branch and folder.',
+        placeHolder: 'https://github.com/owner/repo/tree/main/src',
+        ignoreFocusOut: true,
+        validateInput: value => {
+            if (!value.trim()) {
+                return 'Enter a URL or path';
+            }
+            try {
+                parseGitSource(value);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        }
+    });
+    if (!input) {
+        return false;
+    }
+    let { url, branch, subdir } = parseGitSource(input);
+    if (!branch) {
+        branch = await vscode.window.showInputBox({
+            title: 'Ingest Git URL',
+            prompt: 'Branch or tag, empty for the default branch',
+            ignoreFocusOut: true
+        });
+        if (branch === undefined) {
+            return false;
+        }
+        subdir = await vscode.window.showInputBox({
+            title: 'Ingest Git URL',
+            prompt: 'Folder in the repository, empty for all of it',
+            ignoreFocusOut: true,
+            validateInput: value => {
+                try {
+                    normalizeSubdir(value);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        });
+        if (subdir === undefined) {
+            return false;
+        }
+    }
+    const source = { url, branch: branch.trim(), subdir: normalizeSubdir(subdir) };
+
+    let folderPath;
+    try {
+        folderPath = await cloneWithProgress(source, true);
+    } catch (error) {
+        vscode.window.showErrorMessage(`VSingest: Cloning ${url} failed: ${error.message}`);
+        return false;
+    }
+    const name = source.subdir ? source.subdir.split('/').pop() : repositoryName(url);
+    await openSource(state, {
+        id: `git:${url}#${source.branch}:${source.subdir}`,
+        kind: 'git',
+        name,
+        label: repositoryName(url) + (source.branch ? `@${source.branch}` : '') + (source.subdir ? `/${source.subdir}` : ''),
+        path: folderPath,
+        ...source
+    });
+    return true;
+}
+
+// The folder of the tab being shown, before it is scanned. A clone the
+// system cleared from the temp folder is cloned again; a tab whose folder
+// is gone otherwise is closed.
+async function checkActiveSource(state) {
+    const source = getActiveSource(state);
+    if (!source) {
+        return;
+    }
+    const stat = await fs.stat(source.path).catch(() => null);
+    if (stat && stat.isDirectory()) {
+        return;
+    }
+    if (source.kind === 'git') {
+        try {
+            await openSource(state, { ...source, path: await cloneWithProgress(source, false) });
+            return;
+        } catch (error) {
+            vscode.window.showErrorMessage(`VSingest: Cloning ${source.url} failed: ${error.message}`);
+        }
+    } else {
+        vscode.window.showWarningMessage(`VSingest: ${source.path} no longer exists.`);
+    }
+    await closeSource(state, source.id);
+}
+
+// Writes the prompt to vsingest.export.path and offers to open it
+async function exportPrompt(exporter) {
+    if (!vscode.workspace.workspaceFolders) {
+        vscode.window.showWarningMessage('VSingest: No workspace folder open.');
+        return;
+    }
+
+    try {
+        const { targetPath, data } = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'VSingest: Exporting prompt...'
+        }, () => exporter.export());
+
+        const choice = await vscode.window.showInformationMessage(
+            `VSingest: Exported ${formatNumber(data.summary.fileCount)} files (${formatNumber(data.summary.estimatedTokens)} tokens) to ${vscode.workspace.asRelativePath(targetPath)}.`,
+            'Open'
+        );
+        if (choice === 'Open') {
+            await vscode.window.showTextDocument(vscode.Uri.file(targetPath));
+        }
+    } catch (error) {
+        vscode.window.showErrorMessage(`VSingest: Export failed: ${error.message}`);
+    }
+}
+
+// Runs the panel's pipeline and puts the whole prompt on the clipboard
+async function copyPrompt(state, cache, uris = null) {
+    if (!vscode.workspace.workspaceFolders) {
+        vscode.window.showWarningMessage('VSingest: No workspace folder open.');
+        return;
+    }
+    if (uris && uris.length === 0) {
+        vscode.window.showWarningMessage('VSingest: No files selected.');
+        return;
+    }
+
+    let data;
+    try {
+        const provider = createProvider(state, cache, uris);
+        data = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'VSingest: Building prompt...'
+        }, () => provider.generateStructure());
+
+        if (data.contents.length === 0) {
+            vscode.window.showWarningMessage('VSingest: No text files to copy.');
+            return;
+        }
+        await vscode.env.clipboard.writeText(renderPrompt(state, data));
+    } catch (error) {
+        vscode.window.showErrorMessage(`VSingest: ${error.message}`);
+        return;
+    }
+    vscode.window.showInformationMessage(
+        `VSingest: Copied ${formatNumber(data.summary.fileCount)} files (${formatNumber(data.summary.estimatedTokens)} tokens) to the clipboard.`
     );
 }
 
 class ViewProvider {
-    constructor(extensionUri) {
-        this._extensionUri = extensionUri;
+    constructor(context, exporter, cache) {
+        this._extensionUri = context.extensionUri;
+        this._state = context.workspaceState;
+        this._secrets = context.secrets;
+        // Parts of the prompt behind the panel's part copy buttons
+        this._parts = [];
+        // AbortController of the request streaming into the panel
+        this._request = null;
+        this._exporter = exporter;
+        this._cache = cache;
+        // File events since the last refresh; they pile up while the view is hidden
+        this._changes = { changed: [], created: [], deleted: [] };
+        this._refreshTimer = null;
+        // { mode, pattern, only } from the filter box, kept across rescans
+        this._filter = null;
     }
 
     async resolveWebviewView(webviewView) {
         this.webviewView = webviewView;
+        // The panel's script and styles are the only local files it may load
         webviewView.webview.options = {
-            enableScripts: true
+            enableScripts: true,
+            localResourceRoots: [vscode.Uri.joinPath(this._extensionUri, 'media')]
         };
 
-        // Set up visibility change listener
+        // Messages posted by the webview script
+        webviewView.webview.onDidReceiveMessage(async (message) => {
+            try {
+                switch (message.command) {
+                    case 'selectModel':
+                        await this._state.update('vsingest.model', message.model || null);
+                        if (this._provider) {
+                            // Token counts depend on the model's encoding; contents come from the cache
+                            this._data = await this._provider.setModel(message.model || null);
+                            this.postUpdate(this._data);
+                        }
+                        break;
+                    case 'setSelection':
+                        await this.setSelection(message.paths, message.selected);
+                        break;
+                    case 'setPartTokens':
+                        await vscode.workspace.getConfiguration('vsingest').update(
+                            'parts.maxTokens',
+                            message.maxTokens,
+                            vscode.workspace.workspaceFolders
+                                ? vscode.ConfigurationTarget.Workspace
+                                : vscode.ConfigurationTarget.Global
+                        );
+                        break;
+                    case 'setBudget':
+                        // The configuration listener rescans with the new budget
+                        await vscode.workspace.getConfiguration('vsingest').update(
+                            'budget.maxTokens',
+                            message.maxTokens,
+                            vscode.workspace.workspaceFolders
+                                ? vscode.ConfigurationTarget.Workspace
+                                : vscode.ConfigurationTarget.Global
+                        );
+                        break;
+                    case 'selectGitMode':
+                        // A cancelled prompt leaves the old mode, so put the selector back
+                        if (!(await selectGitMode(message.mode)) && this._data) {
+                            this.webviewView.webview.html = this.renderPage(this._data);
+                        }
+                        break;
+                    case 'setFilter':
+                        await this.setFilter(message.filter);
+                        break;
+                    case 'openFile':
+                        await this.openFile(message.path);
+                        break;
+                    case 'selectProfile':
+                        await applyProfile(this._state, message.profile);
+                        await this.updateContent();
+                        break;
+                    case 'selectRoot':
+                        await this._state.update('vsingest.root', message.root);
+                        await this.updateContent();
+                        break;
+                    case 'selectSource':
+                        await this._state.update('vsingest.source', message.source);
+                        await this.updateContent();
+                        break;
+                    case 'closeSource':
+                        await closeSource(this._state, message.source);
+                        await this.updateContent();
+                        break;
+                    case 'ingestFolder':
+                        if (await ingestFolder(this._state)) {
+                            await this.updateContent();
+                        }
+                        break;
+                    case 'ingestGitUrl':
+                        if (await ingestGitUrl(this._state)) {
+                            await this.updateContent();
+                        }
+                        break;
+                    case 'selectTemplate':
+                        await this._state.update('vsingest.template', message.template);
+                        this.postParts();
+                        break;
+                    case 'setQuestion':
+                        await this._state.update('vsingest.userQuestion', message.question);
+                        this.postParts();
+                        break;
+                    case 'selectFormat':
+                        await this._state.update('vsingest.format', message.format);
+                        if (this._provider) {
+                            // A budget leaves room for the format's framing, so the files are fitted again
+                            this._data = this._provider.setFormatter(getConfiguredFormatter(message.format));
+                            this.postUpdate(this._data);
+                        }
+                        break;
+                    case 'copy':
+                        await this.copy(message.target);
+                        break;
+                    case 'export':
+                        await exportPrompt(this._exporter);
+                        break;
+                    case 'send':
+                        await this.send();
+                        break;
+                    case 'traceDependencies':
+                        if (await setDependencyEntries(this._state)) {
+                            await this.updateContent();
+                        }
+                        break;
+                    case 'clearDependencies':
+                        await setDependencyEntries(this._state, []);
+                        await this.updateContent();
+                        break;
+                    case 'cancelSend':
+                        if (this._request) {
+                            this._request.abort();
+                        }
+                        break;
+                }
+            } catch (error) {
+                this.reportError(error);
+            }
+        });
+
+        // Catch up on file changes made while the view was hidden
         webviewView.onDidChangeVisibility(async () => {
             if (webviewView.visible) {
-                await this.updateContent();
+                try {
+                    await this.refresh();
+                } catch (error) {
+                    this.reportError(error);
+                }
             }
         });
 
@@ -117,118 +1087,334 @@ class ViewProvider {
         await this.updateContent();
     }
 
+    // Shows the error in the panel, or as a notification before it opened,
+    // instead of losing it as an unhandled rejection
+    reportError(error) {
+        if (this.webviewView) {
+            this.webviewView.webview.postMessage({ command: 'actionError', message: error.message });
+        } else {
+            vscode.window.showErrorMessage(`VSingest: ${error.message}`);
+        }
+    }
+
+    // Runs action once no event has come in for refreshDelayMs
+    schedule(action) {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = setTimeout(() => action().catch(error => this.reportError(error)), refreshDelayMs);
+    }
+
+    // Full scan that replaces the whole page, for the first load and for
+    // settings changes. Everything else patches the page with postMessage.
     async updateContent() {
         if (this.webviewView && this.webviewView.visible) {
-            const provider = new DirectoryStructureProvider();
+            this._changes = { changed: [], created: [], deleted: [] };
+            await checkActiveSource(this._state);
+            const provider = createProvider(this._state, this._cache, null, this._filter, getActiveSource(this._state));
             const data = await provider.generateStructure();
-            this.webviewView.webview.html = getWebviewContent(data);
+            this._provider = provider;
+            this._data = data;
+            this.webviewView.webview.html = this.renderPage(data);
         }
     }
-}
 
-class DirectoryStructureProvider {
-    constructor() {
-        this.summaryInfo = {
-            fileCount: 0,
-            totalSize: 0,
-            estimatedTokens: 0
-        };
-        this.fileContents = [];
+    renderPage(data) {
+        return getWebviewContent(data, {
+            format: this.getFormatName(),
+            root: this._state.get('vsingest.root', ''),
+            profile: this._state.get('vsingest.profile', ''),
+            template: this._state.get('vsingest.template', ''),
+            question: this._state.get('vsingest.userQuestion', ''),
+            parts: this.renderParts(data),
+            sources: getSources(this._state),
+            source: getActiveSource(this._state),
+            scriptUri: this.mediaUri('panel.js'),
+            styleUri: this.mediaUri('panel.css'),
+            cspSource: this.webviewView.webview.cspSource
+        });
     }
 
-    // Helper function to escape HTML and preserve formatting
-    escapeHtml(unsafe) {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+    mediaUri(fileName) {
+        return this.webviewView.webview.asWebviewUri(vscode.Uri.joinPath(this._extensionUri, 'media', fileName));
     }
 
-    async generateStructure() {
-        if (!vscode.workspace.workspaceFolders) {
-            return {
-                structure: 'No workspace folder open',
-                summary: this.summaryInfo,
-                contents: []
-            };
+    // Splits the prompt when vsingest.parts.maxTokens is set and renders a
+    // copy button per part; '' when it is off
+    renderParts(data) {
+        const maxTokens = getPartTokens();
+        this._parts = [];
+        if (!maxTokens || !data) {
+            return '';
+        }
+        try {
+            this._parts = splitPrompt(this._state, data, maxTokens);
+        } catch (error) {
+            return `<div class="summary-item">Parts: ${escapeHtml(error.message)}</div>`;
         }
+        return renderPartButtons(this._parts, maxTokens);
+    }
 
-        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri;
-        const files = await vscode.workspace.findFiles('**/*', '**/node_modules/**');
-        const textFiles = files.filter(file => isTextFile(file.fsPath));
+    postParts() {
+        if (this.webviewView && this._data) {
+            this.webviewView.webview.postMessage({ command: 'parts', parts: this.renderParts(this._data) });
+        }
+    }
 
-        this.summaryInfo = {
-            fileCount: textFiles.length,
-            totalSize: 0,
-            estimatedTokens: 0
-        };
+    // Restricting to open tabs needs a rescan; ordering them first only a
+    // new selection pass over the files already read
+    async onTabsChanged(openTabs) {
+        if (openTabs === 'off' || !this.webviewView || !this.webviewView.visible) {
+            return;
+        }
+        if (openTabs === 'only' || !this._provider) {
+            this.schedule(() => this.updateContent());
+            return;
+        }
+        this._data = this._provider.setOpenPaths(getOpenEditorPaths());
+        this.postUpdate(this._data);
+    }
 
-        // Read contents of all text files
-        this.fileContents = await Promise.all(textFiles.map(async (file) => {
-            try {
-                const content = await fs.readFile(file.fsPath, 'utf-8');
-                const relativePath = path.relative(workspaceRoot.fsPath, file.fsPath);
-                const stat = await fs.stat(file.fsPath);
+    onFileEvent(kind, uri) {
+        if (isProfilesFile(uri)) {
+            // The selector and the active profile's globs need a full rescan
+            this._provider = null;
+        }
+        this._changes[kind].push(uri.fsPath);
+        if (this.webviewView && this.webviewView.visible) {
+            this.schedule(() => this.refresh());
+        }
+    }
 
-                this.summaryInfo.totalSize += stat.size;
-                this.summaryInfo.estimatedTokens += Math.ceil(content.length / 16);
+    // Applies the queued file events to the last scan, rereading only the
+    // files that changed, and patches the page
+    async refresh() {
+        if (!this._provider) {
+            await this.updateContent();
+            return;
+        }
+        const changes = this._changes;
+        if (changes.changed.length + changes.created.length + changes.deleted.length === 0) {
+            return;
+        }
+        this._changes = { changed: [], created: [], deleted: [] };
 
-                return {
-                    path: relativePath,
-                    content: this.escapeHtml(content)
-                };
-            } catch (error) {
-                console.error(`Error reading file ${file.fsPath}:`, error);
-                return {
-                    path: path.relative(workspaceRoot.fsPath, file.fsPath),
-                    content: `Error reading file: ${error.message}`
-                };
+        if (await this._provider.applyChanges(changes)) {
+            this._data = this._provider.applySelection(this._provider.excluded);
+        } else {
+            this._data = await this._provider.generateStructure();
+        }
+        this.postUpdate(this._data, true);
+    }
+
+    getFormatName() {
+        return this._state.get('vsingest.format', 'plain');
+    }
+
+    // Sends a new summary and contents to the webview without reloading the
+    // page. The tree is only resent when files were added or removed, since
+    // replacing it collapses the folders.
+    postUpdate(data, includeTree = false) {
+        this.webviewView.webview.postMessage({
+            command: 'update',
+            tree: includeTree ? renderTree(data) : null,
+            summary: renderSummary(data.summary),
+            contents: renderContents(data.contents, getConfiguredFormatter(this.getFormatName())),
+            parts: this.renderParts(data),
+            stats: renderFileStats(data.contents),
+            heat: renderFolderHeat(data.contents),
+            filter: data.filter,
+            omitted: data.summary.budget ? data.summary.budget.omitted : []
+        });
+    }
+
+    // Sends the prompt "Copy All" would copy to the configured endpoint and
+    // streams the answer into the panel, then shows the actual usage and cost
+    async send() {
+        if (!this._data || this._request) {
+            return;
+        }
+        const target = getSendTarget(this._state);
+        if (!target.model) {
+            vscode.window.showWarningMessage('VSingest: Select a model in the panel or set vsingest.llm.model.');
+            return;
+        }
+        let apiKey = await this._secrets.get(apiKeySecret(target.provider));
+        // A custom base URL is usually a local server that needs no key
+        if (!apiKey && !target.baseUrl) {
+            apiKey = await promptForApiKey(this._secrets, target.provider);
+            if (!apiKey) {
+                return;
             }
-        }));
-
-        const rootName = path.basename(workspaceRoot.fsPath);
-        let structure = `${rootName}/\n`;
-
-        const tree = {};
-        files.forEach(file => {
-            const relativePath = path.relative(workspaceRoot.fsPath, file.fsPath);
-            const parts = relativePath.split(path.sep);
-            let current = tree;
-            parts.forEach(part => {
-                if (!current[part]) current[part] = {};
-                current = current[part];
-            });
+        }
+
+        let prompt;
+        try {
+            prompt = renderPrompt(this._state, this._data);
+        } catch (error) {
+            vscode.window.showErrorMessage(`VSingest: ${error.message}`);
+            return;
+        }
+        // Without a {{userQuestion}} in the template the question follows the prompt
+        const template = getTemplateRegistry()[this._state.get('vsingest.template', '')];
+        const question = this._state.get('vsingest.userQuestion', '').trim();
+        if (question && !(template && usesVariable(template, 'userQuestion'))) {
+            prompt = `${prompt.trimEnd()}\n\n${question}\n`;
+        }
+        const estimatedTokens = countTokens(prompt, this._data.summary.model);
+        const post = message => this.webviewView.webview.postMessage(message);
+        post({
+            command: 'responseStart',
+            usage: renderUsage(target, estimatedTokens, null)
         });
 
-        structure += this.printTree(tree);
+        this._request = new AbortController();
+        try {
+            const result = await streamCompletion(
+                { ...target, apiKey, signal: this._request.signal },
+                prompt,
+                text => post({ command: 'responseText', text })
+            );
+            post({ command: 'responseDone', usage: renderUsage(target, estimatedTokens, result.usage) });
+        } catch (error) {
+            post({
+                command: 'responseError',
+                usage: renderUsage(target, estimatedTokens, null),
+                error: error.name === 'AbortError' ? 'Stopped.' : `Request failed: ${error.message}`
+            });
+        } finally {
+            this._request = null;
+        }
+    }
 
-        return {
-            structure,
-            summary: this.summaryInfo,
-            contents: this.fileContents
-        };
+    // 'structure' copies the tree, 'contents' the formatted files, 'all' both
+    // and 'part-<i>' one part of the split prompt
+    async copy(target) {
+        if (!this._data) {
+            return;
+        }
+        let text = this._data.structure;
+        try {
+            if (target.startsWith('part-')) {
+                const part = this._parts[Number(target.slice(5))];
+                if (!part) {
+                    return;
+                }
+                text = part.text;
+            } else if (target === 'all') {
+                text = renderPrompt(this._state, this._data);
+            } else if (target === 'contents') {
+                checkSecrets(this._data);
+                text = formatOutput(getConfiguredFormatter(this.getFormatName()), {
+                    structure: this._data.structure,
+                    files: this._data.contents
+                });
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(`VSingest: ${error.message}`);
+            return;
+        }
+        await vscode.env.clipboard.writeText(text);
+        this.webviewView.webview.postMessage({ command: 'copied', target });
+    }
+
+    // Narrows the panel to the files matching the filter box. An invalid
+    // regular expression is reported next to the box and changes nothing.
+    async setFilter(filter) {
+        if (!this._provider) {
+            return;
+        }
+        try {
+            this._data = this._provider.setFilter(filter);
+        } catch (error) {
+            this.webviewView.webview.postMessage({ command: 'filterError', message: error.message });
+            return;
+        }
+        this._filter = filter;
+        this.postUpdate(this._data);
     }
 
-    printTree(node, prefix = '   ', isLast = true) {
-        let result = '';
-        const entries = Object.entries(node);
-        entries.forEach(([key, value], index) => {
-            const isLastEntry = index === entries.length - 1;
-            const isDirectory = Object.keys(value).length > 0;
-            const marker = isLastEntry ? '└── ' : '├── ';
-            const formattedKey = isDirectory ? `${key}/` : key;
-            result += `${prefix}${marker}${formattedKey}\n`;
-            if (isDirectory) {
-                const newPrefix = prefix + (isLastEntry ? '    ' : '│   ');
-                result += this.printTree(value, newPrefix, isLastEntry);
+    // Opens a file from the tree in the editor; paths outside the last scan are ignored
+    async openFile(relativePath) {
+        const fsPath = this._provider ? this._provider.toFsPath(relativePath) : null;
+        if (fsPath) {
+            await vscode.commands.executeCommand('vscode.open', vscode.Uri.file(fsPath));
+        }
+    }
+
+    // Checkbox toggles from the tree. The selection is stored as the set of
+    // unchecked files so that new files show up selected.
+    async setSelection(paths, selected) {
+        const key = excludedKey(getActiveSource(this._state));
+        const excluded = new Set(this._state.get(key, []));
+        paths.forEach(filePath => {
+            if (selected) {
+                excluded.delete(filePath);
+            } else {
+                excluded.add(filePath);
             }
         });
-        return result;
+        await this._state.update(key, [...excluded]);
+
+        if (this._provider && this.webviewView) {
+            // Files are already read, so only the summary and contents are rebuilt
+            this._data = this._provider.applySelection(excluded);
+            this.postUpdate(this._data);
+        }
     }
 }
 
+// Helper function to escape HTML and preserve formatting
+function escapeHtml(unsafe) {
+    return unsafe
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+// Serializes a value for embedding inside a <script> block
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Files open in editor tabs, across all editor groups
+function getOpenEditorUris() {
+    return vscode.window.tabGroups.all
+        .flatMap(group => group.tabs)
+        .filter(tab => tab.input instanceof vscode.TabInputText && tab.input.uri.scheme === 'file')
+        .map(tab => tab.input.uri);
+}
+
+// Workspace paths of the files open in tabs, in tab order without duplicates
+function getOpenEditorPaths() {
+    const paths = getOpenEditorUris().map(workspaceRelativePath).filter(relativePath => relativePath !== null);
+    return [...new Set(paths)];
+}
+
+// Budget settings plus the open editors, which the 'openEditors' priority ranks first
+function getBudgetOptions() {
+    const config = vscode.workspace.getConfiguration('vsingest.budget');
+    const openEditors = getOpenEditorPaths();
+
+    return {
+        maxTokens: config.get('maxTokens', 0),
+        priority: config.get('priority'),
+        pinned: config.get('pinned', []),
+        entryPoints: config.get('entryPoints', []),
+        truncate: config.get('truncate', true),
+        openEditors
+    };
+}
+
+function getPartTokens() {
+    return vscode.workspace.getConfiguration('vsingest.parts').get('maxTokens', 0);
+}
+
+// Formatter by name, with the 'custom' one built from vsingest.customFormat
+function getConfiguredFormatter(name) {
+    return getFormatter(name, vscode.workspace.getConfiguration('vsingest').get('customFormat'));
+}
+
 function formatSize(bytes) {
     const units = ['B', 'KB', 'MB', 'GB'];
     let size = bytes;
@@ -246,377 +1432,542 @@ function formatNumber(num) {
     return new Intl.NumberFormat().format(num);
 }
 
+function renderModelOptions(models, selectedModel) {
+    const option = (value, label) =>
+        `<option value="${escapeHtml(value)}"${value === (selectedModel || '') ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    const options = [option('', 'Select Model'), ...Object.values(models).map(model => option(model.id, model.label))];
+    // A saved model that was removed from the registry stays selectable
+    if (selectedModel && !models[selectedModel]) {
+        options.push(option(selectedModel, `${selectedModel} (unknown)`));
+    }
+    return options.join('');
+}
 
+function formatCost(dollars) {
+    return `$${dollars < 0.01 && dollars > 0 ? dollars.toFixed(4) : dollars.toFixed(2)}`;
+}
 
-function getWebviewContent(data) {
-    const { structure, summary, contents } = data;
-    return `<!DOCTYPE html>
-    <html>
-        <head>
-            <style>
-                @import url('https://fonts.googleapis.com/css2?family=Inconsolata:wght@200..900&family=Inter:ital,opsz,wght@0,14..32,100..900;1,14..32,100..900&family=Lato:ital,wght@0,100;0,300;0,400;0,700;0,900;1,100;1,300;1,400;1,700;1,900&display=swap');
-                
-                body {
-                    background-color:#222a29;
-                    color:rgb(250, 250, 250);
-                    font-family: "Inter", serif;
-                }
+function getExpectedOutputTokens() {
+    return vscode.workspace.getConfiguration('vsingest.pricing').get('expectedOutputTokens', 2000);
+}
 
-                h1 {
-                    font-size: 18px;
-                    line-height: 1.2;
-                    display: inline-block;
-                    margin: 10px 0;
-                }
+function formatTokenSummary(summary) {
+    const { encoding, exact } = summary.encoding;
+    return `${formatNumber(summary.estimatedTokens)} (${encoding}${exact ? '' : ', approximate'})`;
+}
 
-                .header-container {
-                    display: flex;
-                    align-items: center;
-                    gap: 10px;
-                }
+function renderCost(summary, models, outputTokens) {
+    if (!summary.model) {
+        return 'Select Model';
+    }
+    const model = models[summary.model];
+    if (!model) {
+        return `No pricing for ${escapeHtml(summary.model)}, add it to vsingest.models`;
+    }
+    const cost = estimateCost(model, summary.estimatedTokens, outputTokens);
+    return `${formatCost(cost.total)} (${formatCost(cost.input)} input + ${formatCost(cost.output)} for ${formatNumber(outputTokens)} output tokens)`;
+}
 
-                .model-selector {
-                    font-family: "Inter", serif;
-                    padding: 3px;
-                    background-color: rgb(78, 85, 84);
-                    color: white;
-                    border: 1px solid #666;
-                    backdrop-filter: blur(1px);
-                    width: auto;
-                    box-shadow: 4px 4px 2px 1px rgba(0, 0, 0, 0.2);
-                }
-                .model-selector:focus option:checked {
-                    background-color: green;
-                    color: white;
-                }
+// Every model's cost and context fit for this ingest. Token counts come from
+// the selected model's tokenizer, so other models' figures are estimates.
+function renderModelComparison(summary, models, outputTokens) {
+    const rows = Object.values(models).map(model => {
+        const cost = estimateCost(model, summary.estimatedTokens, outputTokens);
+        const fits = fitsContext(model, summary.estimatedTokens, outputTokens);
+        const used = model.contextWindow
+            ? ` ${formatNumber(Math.round(((summary.estimatedTokens + outputTokens) / model.contextWindow) * 100))}%`
+            : '';
+        const fit = fits === null ? '?' : `${fits ? '✓' : '✗'}${used}`;
+        return `<tr${model.id === summary.model ? ' class="selected-model"' : ''}>`
+            + `<td>${escapeHtml(model.label)}</td>`
+            + `<td class="${fits === false ? 'no-fit' : ''}" title="Context window: ${model.contextWindow ? formatNumber(model.contextWindow) : 'unknown'} tokens">${fit}</td>`
+            + `<td>${formatCost(cost.input)}</td>`
+            + `<td>${cost.cachedInput === null ? '-' : formatCost(cost.cachedInput)}</td>`
+            + `<td>${formatCost(cost.output)}</td>`
+            + `<td>${formatCost(cost.total)}</td></tr>`;
+    });
+    return '<details class="summary-item"><summary>Compare models</summary>'
+        + '<table class="pricing-table"><thead><tr><th>Model</th><th>Fits</th><th>Input</th><th>Cached</th>'
+        + `<th>Output (${formatNumber(outputTokens)})</th><th>Total</th></tr></thead>`
+        + `<tbody>${rows.join('')}</tbody></table></details>`;
+}
 
-                .summary-container {
-                    white-space: pre-wrap;
-                    height: auto;
-                    background-color: #4e5554;
-                    backdrop-filter: blur(10px);
-                    border-radius: 3px;
-                    padding: 10px;
-                    box-shadow: 6px 6px 2px 1px rgba(0, 0, 0, 0.2);
-                    font-family: Courier New, sans-serif;
-                    font-size: 12px;
-                    display: flex;
-                    flex-direction: column;
-                    justify-content: center;
-                    align-items: left;
-                    text-align: left;
-                }
+function renderSummary(summary) {
+    const models = getModelRegistry();
+    const outputTokens = getExpectedOutputTokens();
+    return `<div class="summary-item">Files analyzed: ${formatNumber(summary.fileCount)}</div>`
+        + `<div class="summary-item">Size: ${formatSize(summary.totalSize)}</div>`
+        + `<div class="summary-item">Tokens: ${formatTokenSummary(summary)}</div>`
+        + `<div class="summary-item" id="tokenCost">Estimated Cost: ${renderCost(summary, models, outputTokens)}</div>`
+        + renderModelComparison(summary, models, outputTokens)
+        + renderRootSummaries(summary.roots)
+        + renderGitSummary(summary.git)
+        + renderEditorSummary(summary.editor)
+        + renderDependencySummary(summary.dependencies)
+        + renderCompressionSummary(summary.compression)
+        + renderSkippedSummary(summary.skipped)
+        + renderRedactionSummary(summary.redactions)
+        + renderBudgetSummary(summary.budget);
+}
 
-                #structure {
-                    position: relative;
-                    white-space: pre-wrap;
-                    background-color: #4e5554;
-                    backdrop-filter: blur(10px);
-                    border-radius: 3px;
-                    padding: 10px;
-                    box-shadow: 6px 6px 2px 1px rgba(0, 0, 0, 0.2);
-                    font-size: 12px;
-                    height: 225px;
-                    overflow-y: auto;
-                    resize: vertical;
-                    scrollbar-color: rgba(255, 255, 255, 0.4) rgba(0, 0, 0, 0.1);
-                    margin: 0;
-                }
+function renderDependencySummary(dependencies) {
+    if (!dependencies) {
+        return '';
+    }
+    const entries = dependencies.entries.map(entry => escapeHtml(entry.split(path.sep).join('/'))).join(', ');
+    const unresolved = dependencies.unresolved > 0
+        ? `, ${formatNumber(dependencies.unresolved)} local import${dependencies.unresolved === 1 ? '' : 's'} not found`
+        : '';
+    const found = dependencies.fileCount > 0
+        ? `${formatNumber(dependencies.fileCount)} files`
+        : '<span class="git-error">entry file not found</span>';
+    return `<div class="summary-item">Imports of ${entries} (${dependencies.depth > 0 ? `depth ${dependencies.depth}` : 'any depth'}): `
+        + `${found}${unresolved} <button class="link-button" data-command="clearDependencies">All Files</button></div>`;
+}
 
-                #structure::-webkit-scrollbar {
-                    width: 4px;
-                    background: rgba(0, 0, 0, 0.1);
-                }
+function renderEditorSummary(editor) {
+    if (!editor) {
+        return '';
+    }
+    const parts = [];
+    if (editor.openTabs === 'only') {
+        parts.push('open tabs only');
+    } else if (editor.openTabs === 'prioritize') {
+        parts.push('open tabs first');
+    }
+    if (editor.unsaved.length > 0) {
+        parts.push(`<span title="${escapeHtml(editor.unsaved.join('\n'))}">${formatNumber(editor.unsaved.length)} unsaved</span>`);
+    }
+    if (editor.errors + editor.warnings > 0) {
+        const count = (n, noun) => `${formatNumber(n)} ${noun}${n === 1 ? '' : 's'}`;
+        parts.push(`${count(editor.errors, 'error')}, ${count(editor.warnings, 'warning')}`);
+    }
+    return `<div class="summary-item">Editor: ${parts.join(', ')}</div>`;
+}
 
-                #structure::-webkit-scrollbar-track {
-                    background: rgba(0, 0, 0, 0.1);
-                    border-radius: 10px;
-                }
+function renderCompressionSummary(compression) {
+    if (!compression) {
+        return '';
+    }
+    return '<div class="summary-item">Compression:</div>' + compression.map(totals =>
+        `<div class="summary-item root-summary">${compressionLevels[totals.level]}: ${formatNumber(totals.fileCount)} files, `
+        + `${formatNumber(totals.before)} → ${formatNumber(totals.after)} tokens</div>`
+    ).join('');
+}
 
-                #structure::-webkit-scrollbar-thumb {
-                    background-color: rgba(255, 255, 255, 0.6);
-                    border-radius: 10px;
-                    border: 1px solid rgba(255, 255, 255, 0);
-                }
+function renderGitSummary(git) {
+    if (!git) {
+        return '';
+    }
+    const ranges = git.roots.map(root => {
+        const name = git.roots.length > 1 ? `${escapeHtml(root.name)}/: ` : '';
+        return root.error
+            ? `<div class="summary-item root-summary git-error">${name}${escapeHtml(root.error)}</div>`
+            : `<div class="summary-item root-summary">${name}${escapeHtml(root.range)}</div>`;
+    }).join('');
+    return `<div class="summary-item">Git: ${gitModes[git.mode]}, ${formatNumber(git.fileCount)} files, `
+        + `+${formatNumber(git.added)} -${formatNumber(git.removed)} lines</div>${ranges}`;
+}
 
-                #structure::-webkit-scrollbar-thumb:hover {
-                    background-color: rgba(255, 255, 255, 0.8);
-                }
+function renderSkippedSummary(skipped) {
+    if (!skipped) {
+        return '';
+    }
+    const parts = Object.entries(skipped)
+        .filter(([, count]) => count > 0)
+        .map(([reason, count]) => `${formatNumber(count)} ${skipLabels[reason]}`);
+    return parts.length > 0 ? `<div class="summary-item">Skipped: ${parts.join(', ')}</div>` : '';
+}
 
-                .content-container {                
-                    position: relative;
-                    white-space: pre-wrap;
-                    background-color: #4e5554;
-                    backdrop-filter: blur(10px);
-                    border-radius: 3px;
-                    padding: 10px;
-                    box-shadow: 6px 6px 2px 1px rgba(0, 0, 0, 0.2);
-                    font-size: 12px;
-                    height: 275px;
-                    overflow-y: auto;
-                    resize: vertical;
-                    scrollbar-color: rgba(255, 255, 255, 0.4) rgba(0, 0, 0, 0.1);
-                    margin: 0;
-                    font-family: 'Courier New', monospace;
-                    overflow-x: hidden; /* Hides the horizontal scrollbar */
-                    resize: vertical; /* Allows resizing both horizontally and vertically */
-                }
+function renderRedactionSummary(redactions) {
+    if (!redactions || redactions.length === 0) {
+        return '';
+    }
+    const fileCount = new Set(redactions.map(redaction => redaction.path)).size;
+    const items = redactions.map(redaction =>
+        `<li>${escapeHtml(redaction.path)}${redaction.inDiff ? ' (diff)' : ''}:${redaction.line} ${escapeHtml(redaction.rule)}</li>`
+    );
+    return `<details class="summary-item redactions"><summary>Redacted: ${formatNumber(redactions.length)} secrets in ${formatNumber(fileCount)} files</summary>`
+        + `<ul class="omitted-list">${items.join('')}</ul></details>`;
+}
 
-                .content-container::-webkit-scrollbar {
-                    width: 4px;
-                    background: rgba(0, 0, 0, 0.1);
-                }
+function renderRootSummaries(roots) {
+    if (!roots) {
+        return '';
+    }
+    return roots.map(root =>
+        `<div class="summary-item root-summary">${escapeHtml(root.name)}/: ${formatNumber(root.fileCount)} files, `
+        + `${formatSize(root.totalSize)}, ${formatNumber(root.estimatedTokens)} tokens</div>`
+    ).join('');
+}
 
-                .content-container::-webkit-scrollbar-track {
-                    background: rgba(0, 0, 0, 0.1);
-                    border-radius: 10px;
-                }
+function renderBudgetSummary(budget) {
+    if (!budget) {
+        return '';
+    }
+    const { omitted, truncated } = budget;
+    let html = `<div class="summary-item">Budget: ${formatNumber(budget.maxTokens)} tokens`
+        + ` (${formatNumber(omitted.length)} omitted, ${formatNumber(truncated.length)} truncated)</div>`;
+    if (omitted.length > 0 || truncated.length > 0) {
+        const items = [
+            ...truncated.map(file => `<li>${escapeHtml(file.path)}: truncated from ${formatNumber(file.tokens)} to ${formatNumber(file.keptTokens)} tokens</li>`),
+            ...omitted.map(file => `<li>${escapeHtml(file.path)}: omitted, ${escapeHtml(file.reason)}</li>`)
+        ];
+        html += `<details class="summary-item"><summary>Left out to fit the budget</summary><ul class="omitted-list">${items.join('')}</ul></details>`;
+    }
+    return html;
+}
 
-                .content-container::-webkit-scrollbar-thumb {
-                    background-color: rgba(255, 255, 255, 0.6);
-                    border-radius: 10px;
-                    border: 1px solid rgba(255, 255, 255, 0);
-                }
+const budgetPresets = [0, 8_000, 32_000, 128_000, 200_000, 1_000_000];
 
-                .content-container::-webkit-scrollbar-thumb:hover {
-                    background-color: rgba(255, 255, 255, 0.8);
-                }
+function renderBudgetOptions(maxTokens) {
+    const values = budgetPresets.includes(maxTokens) ? budgetPresets : [...budgetPresets, maxTokens].sort((a, b) => a - b);
+    return values.map(value => {
+        const label = value === 0
+            ? 'No Budget'
+            : `Fit ${value >= 1_000_000 ? `${formatNumber(value / 1_000_000)}M` : `${formatNumber(value / 1000)}k`}`;
+        return `<option value="${value}"${value === maxTokens ? ' selected' : ''}>${label}</option>`;
+    }).join('');
+}
 
-                .summary-item {
-                    margin: 2px 0;
-                }
+const partPresets = [0, 4_000, 8_000, 16_000, 32_000, 100_000];
 
-                .timestamp {
-                    font-size: 12px;
-                    color: rgba(255, 255, 255, 0.5);
-                    margin-top: 10px;
-                    float: right;
-                }
+function renderPartOptions(maxTokens) {
+    const values = partPresets.includes(maxTokens) ? partPresets : [...partPresets, maxTokens].sort((a, b) => a - b);
+    return values.map(value => {
+        const label = value === 0 ? 'One Message' : `Parts of ${formatNumber(value / 1000)}k`;
+        return `<option value="${value}"${value === maxTokens ? ' selected' : ''}>${label}</option>`;
+    }).join('');
+}
 
-                .copy-button {
-                    position: sticky;
-                    top: 0px;
-                    right: 0px;
-                    width: 24px;
-                    height: 24px;
-                    background: none;
-                    border: none;
-                    padding: 0;
-                    cursor: pointer;
-                    z-index: 1;
-                    float: right;
-                    user-select: none;
-                    -webkit-user-select: none;
-                    -moz-user-select: none;
-                    -ms-user-select: none;
-                    transform: translateY(-30px);
-                }
+function renderPartButtons(parts, maxTokens) {
+    const buttons = parts.map((part, index) => `<button class="copy-all-button" data-target="part-${index}"`
+        + ` title="Copy part ${index + 1}">Part ${index + 1}/${parts.length} · ${formatNumber(part.tokens)} tokens</button>`);
+    return `<div class="summary-item">${parts.length === 1 ? 'Fits in one message' : `${parts.length} parts`} of up to ${formatNumber(maxTokens)} tokens</div>`
+        + `<div class="part-buttons">${buttons.join('')}</div>`;
+}
 
-                .file-separator {
-                    white-space: pre;
-                    color:rgba(60, 255, 0, 0.85);
-                    margin: 0;
-                    padding: 0;
-                    font-family: 'Courier New', monospace;
-                }
+// Sortable table of the selected files, largest token count first. Rows
+// carry their raw values for the webview script to sort by.
+function renderFileStats(contents) {
+    const total = contents.reduce((sum, file) => sum + file.tokens, 0);
+    const rows = [...contents].sort((a, b) => b.tokens - a.tokens).map(file => {
+        const lines = file.content ? file.content.split('\n').length : 0;
+        const language = languageForPath(file.path);
+        const share = total > 0 ? file.tokens / total : 0;
+        return `<tr data-path="${escapeHtml(file.path)}" data-language="${escapeHtml(language)}" data-lines="${lines}" `
+            + `data-bytes="${file.size}" data-tokens="${file.tokens}">`
+            + `<td class="stats-path">${escapeHtml(file.path)}</td><td>${escapeHtml(language)}</td>`
+            + `<td>${formatNumber(lines)}</td><td>${formatSize(file.size)}</td><td>${formatNumber(file.tokens)}</td>`
+            + `<td><span class="share-bar" data-width="${Math.round(share * 60)}" data-color="${heatColor(share)}"></span>`
+            + `${(share * 100).toFixed(1)}%</td></tr>`;
+    });
+    const column = (key, label, type) => `<th data-sort="${key}" data-type="${type}">${label}</th>`;
+    return `<table class="stats-table"><thead><tr>${column('path', 'Path', 'text')}${column('language', 'Language', 'text')}`
+        + `${column('lines', 'Lines', 'number')}${column('bytes', 'Size', 'number')}${column('tokens', 'Tokens', 'number')}`
+        + `${column('tokens', 'Share', 'number')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
 
-                .file-content {
-                    margin: 0;
-                    padding: 0;
-                    white-space: pre-wrap;
-                    word-wrap: break-word;
-                }
-            </style>
+// Green for a small share of the tokens through to red for most of them.
+// The square root spreads out the small shares most folders have.
+function heatColor(share) {
+    return `hsla(${Math.round(120 * (1 - Math.sqrt(Math.min(1, share))))}, 70%, 45%, 0.45)`;
+}
+
+// Badge text and color per folder for the tree, from the selected files
+function renderFolderHeat(contents) {
+    const total = contents.reduce((sum, file) => sum + file.tokens, 0);
+    return [...summarizeFolders(contents)].map(([folderPath, totals]) => {
+        const share = total > 0 ? totals.tokens / total : 0;
+        return {
+            path: folderPath,
+            label: `${formatSize(totals.size)} · ${formatNumber(totals.tokens)} tokens · ${(share * 100).toFixed(1)}%`,
+            color: heatColor(share)
+        };
+    });
+}
+
+// Shows the files the way the selected formatter will copy them, one block per file
+function renderContents(contents, formatter) {
+    const context = { structure: '', includeTree: false };
+    const header = formatter.header(context).trim();
+    const footer = formatter.footer(context).trim();
+    return (header ? `<div class="file-frame">${escapeHtml(header)}</div>` : '')
+        + contents.map((file, index) =>
+            `<div class="file-content" data-path="${escapeHtml(file.path)}"><span class="file-tokens">${formatNumber(file.tokens)} tokens${file.truncated ? ', truncated' : ''}`
+            + `${file.change ? `, +${file.change.added} -${file.change.removed}` : ''}`
+            + `${file.compression && file.compression.level !== 'none' ? `, ${file.compression.level}` : ''}`
+            + `${file.unsaved ? ', unsaved' : ''}`
+            + `${file.diagnostics ? `, ${formatNumber(file.diagnostics.length)} problems` : ''}</span>`
+            + `${escapeHtml(formatter.file(file, index))}</div>`
+        ).join('')
+        + (footer ? `<div class="file-frame">${escapeHtml(footer)}</div>` : '');
+}
+
+function renderGitModeOptions(selectedMode) {
+    return [['off', 'All Files'], ...Object.entries(gitModes)].map(([mode, label]) =>
+        `<option value="${mode}"${mode === selectedMode ? ' selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+// Options remember whether the template asks for a question, so the
+// script can label the question box without a round trip
+function renderTemplateOptions(templates, selectedId) {
+    const option = (id, label, asksQuestion) =>
+        `<option value="${escapeHtml(id)}" data-question="${asksQuestion}"${id === selectedId ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    return [
+        option('', 'No Template', false),
+        ...Object.values(templates).map(template => option(template.id, template.label, usesVariable(template, 'userQuestion')))
+    ].join('');
+}
+
+function renderFormatOptions(selectedFormat) {
+    const options = Object.entries(formatters).map(([name, formatter]) => [name, formatter.label]);
+    options.push(['custom', 'Custom Template']);
+    return options.map(([name, label]) =>
+        `<option value="${name}"${name === selectedFormat ? ' selected' : ''}>${label}</option>`
+    ).join('');
+}
+
+const skipLabels = {
+    binary: 'binary',
+    'too-large': 'too large',
+    excluded: 'excluded'
+};
+
+// Expandable checkbox tree. Folder checkboxes are derived from their files
+// by the webview script, which also sets the indeterminate state. Skipped
+// files, and in dependency mode files nothing imports, get a disabled
+// checkbox without the file-checkbox class, so folders ignore them.
+// graph maps the imported files to their depth, or is null.
+function renderTreeNodes(node, excluded, skipped, graph, parentPath = '') {
+    return Object.entries(node).map(([name, children]) => {
+        const nodePath = parentPath ? `${parentPath}${path.sep}${name}` : name;
+        if (Object.keys(children).length === 0) {
+            // The script filters by data-path and shows the file when its name is clicked
+            const item = `<li data-path="${escapeHtml(nodePath)}">`;
+            const fileName = `<span class="file-name">${escapeHtml(name)}</span>`;
+            const reason = skipped[nodePath];
+            if (reason) {
+                return `${item}<label class="skipped" title="Not read: ${skipLabels[reason]}"><input type="checkbox" disabled>${fileName}`
+                    + `<span class="skip-reason">${skipLabels[reason]}</span></label></li>`;
+            }
+            if (graph && !(nodePath in graph)) {
+                return `${item}<label class="outside-graph" title="Not imported by the entry files"><input type="checkbox" disabled>${fileName}</label></li>`;
+            }
+            const checked = excluded.has(nodePath) ? '' : ' checked';
+            const depth = graph ? graph[nodePath] : null;
+            const badge = depth === null ? '' : `<span class="graph-depth">${depth === 0 ? 'entry' : `depth ${depth}`}</span>`;
+            return `${item}<label${depth === null ? '' : ` class="in-graph${depth === 0 ? ' graph-entry' : ''}"`}>`
+                + `<input type="checkbox" class="file-checkbox" data-path="${escapeHtml(nodePath)}"${checked}>${fileName}${badge}</label></li>`;
+        }
+        // The heat badge is filled in by the webview script, since it follows the selection
+        return `<li><details open><summary data-folder="${escapeHtml(nodePath)}"><input type="checkbox" class="folder-checkbox">`
+            + `${escapeHtml(name)}/<span class="folder-heat"></span></summary>`
+            + `<ul>${renderTreeNodes(children, excluded, skipped, graph, nodePath)}</ul></details></li>`;
+    }).join('');
+}
+
+function renderTree(data) {
+    if (Object.keys(data.tree).length === 0) {
+        return escapeHtml(data.structure);
+    }
+    return `<ul class="tree">${renderTreeNodes(data.tree, new Set(data.excluded), data.skipped || {}, data.graph || null)}</ul>`;
+}
+
+// Hidden until the workspace has profiles; a broken profiles file shows
+// its error instead
+function renderProfileSelector(selectedProfile) {
+    const { profiles, error } = getProfiles();
+    if (error) {
+        return `<select id="profileSelector" class="model-selector" title="${escapeHtml(error)}" disabled>`
+            + '<option>Profiles: invalid file</option></select>';
+    }
+    if (Object.keys(profiles).length === 0) {
+        return '';
+    }
+    const options = [['', 'No Profile'], ...Object.keys(profiles).map(name => [name, name])];
+    return `<select id="profileSelector" class="model-selector" title="Profile from ${escapeHtml(profilesPath)}">${options.map(([value, label]) =>
+        `<option value="${escapeHtml(value)}"${value === selectedProfile ? ' selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('')}</select>`;
+}
+
+// Only shown in multi-root workspaces
+function renderRootSelector(selectedRoot) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length < 2) {
+        return '';
+    }
+    const options = [['', 'All Folders'], ...folders.map(folder => [folder.name, folder.name])];
+    return `<select id="rootSelector" class="model-selector" title="Workspace folder">${options.map(([value, label]) =>
+        `<option value="${escapeHtml(value)}"${value === selectedRoot ? ' selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('')}</select>`;
+}
+
+// The workspace tab, a tab per ingested folder or clone and the buttons that add them
+function renderSourceTabs(sources, activeSource) {
+    const activeId = activeSource ? activeSource.id : '';
+    const tab = (id, label, title, closable) =>
+        `<span class="source-tab${id === activeId ? ' selected' : ''}">`
+        + `<button data-source="${escapeHtml(id)}" title="${escapeHtml(title)}">${escapeHtml(label)}</button>`
+        + (closable ? `<button class="source-close" data-close-source="${escapeHtml(id)}" title="Close">×</button>` : '')
+        + '</span>';
+    return `<div class="source-tabs">${[
+        tab('', 'Workspace', 'Files of the open workspace', false),
+        ...sources.map(source => tab(source.id, source.label, source.kind === 'git' ? source.url : source.path, true))
+    ].join('')}<button class="link-button" data-command="ingestFolder" title="Ingest a folder outside the workspace">Ingest Folder...</button>`
+        + '<button class="link-button" data-command="ingestGitUrl" title="Shallow-clone a repository and ingest it">Ingest Git URL...</button></div>';
+}
+
+// options: { format, root, profile, template, question } as saved in the workspace state, plus the rendered
+// parts, the ingested sources with the active one, and the webview URIs of media/panel.js and
+// media/panel.css with the webview's cspSource
+function getWebviewContent(data, options = {}) {
+    const { summary, contents } = data;
+    const {
+        format: formatName = 'plain',
+        root: rootName = '',
+        profile: profileName = '',
+        template: templateId = '',
+        question = '',
+        parts = '',
+        sources = [],
+        source = null,
+        scriptUri = '',
+        styleUri = '',
+        cspSource = ''
+    } = options;
+    // Only the panel script carries the nonce, so no other script can run
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const templates = getTemplateRegistry();
+    return `<!DOCTYPE html>
+    <html>
+        <head>
+            <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src ${cspSource} data:; style-src ${cspSource}; font-src ${cspSource}; script-src 'nonce-${nonce}';">
+            <link rel="stylesheet" href="${styleUri}">
         </head>
 
         <body>
+            ${renderSourceTabs(sources, source)}
 
             <div class="header-container">
                 <h1>Summary</h1>
                 <select id="modelSelector" class="model-selector">
-                    <option value="">Select Model</option>
-                    <option value="openai-o1">OpenAI o1</option>
-                    <option value="openai-o3-mini">OpenAI o3-mini</option>
-                    <option value="claude-3-sonnet">Claude 3 Sonnet</option>
-                    <option value="claude-3-opus">Claude 3 Opus</option>
-                    <option value="claude-3-haiku">Claude 3 Haiku</option>
-                    <option value="gpt-4o">GPT-4o</option>
-                    <option value="gpt-4-turbo">GPT-4 Turbo</option>
-                    <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-                    <option value="gemini-pro">Gemini Pro</option>
+                    ${renderModelOptions(getModelRegistry(), summary.model)}
                 </select>
+                ${source ? '' : renderProfileSelector(profileName)}
+                ${source ? '' : renderRootSelector(rootName)}
+                <select id="budgetSelector" class="model-selector" title="Token budget">
+                    ${renderBudgetOptions(summary.budget ? summary.budget.maxTokens : 0)}
+                </select>
+                <select id="gitModeSelector" class="model-selector" title="Files to ingest">
+                    ${renderGitModeOptions(summary.git ? summary.git.mode : 'off')}
+                </select>
+                <select id="partSelector" class="model-selector" title="Split the prompt into messages of at most this many tokens">
+                    ${renderPartOptions(getPartTokens())}
+                </select>
+                <button class="copy-all-button" data-target="all">Copy All</button>
+                <button class="copy-all-button" data-command="export">Export</button>
+                <button class="copy-all-button" id="sendButton" title="Send the prompt to the model set in vsingest.llm">Send</button>
             </div>
+            <div id="actionError" class="action-error" hidden></div>
             <div class="summary-container">
-                <div class="summary-item">Files analyzed: ${formatNumber(summary.fileCount)}</div>
-                <div class="summary-item">Size: ${formatSize(summary.totalSize)}</div>
-                <div class="summary-item">Estimated Tokens: ${formatNumber(summary.estimatedTokens)}</div>
-                <div class="summary-item" id="tokenCost">Cost: Select Model</div>
+                ${renderSummary(summary)}
+            </div>
+            <div id="partsContainer">${parts}</div>
+
+            <div id="responseContainer" hidden>
+                <div class="header-container">
+                    <h1>Response</h1>
+                    <button class="copy-all-button" id="stopButton">Stop</button>
+                </div>
+                <div id="responseUsage" class="summary-container"></div>
+                <div id="responseText" class="response-text"></div>
             </div>
 
-            <h1>Directory Structure</h1>
+            <div class="header-container">
+                <h1>Directory Structure</h1>
+                ${source ? '' : `<button class="copy-all-button" data-command="traceDependencies"
+                    title="Ingest the active editor's file and everything it imports">Trace Imports</button>`}
+            </div>
+            <div class="filter-bar">
+                <input id="filterBox" type="search" class="filter-box" placeholder="Filter files"
+                    value="${escapeHtml(data.filter ? data.filter.pattern : '')}">
+                <select id="filterMode" class="model-selector" title="Match paths with globs or contents with a regular expression">
+                    <option value="path"${data.filter && data.filter.mode === 'content' ? '' : ' selected'}>Path glob</option>
+                    <option value="content"${data.filter && data.filter.mode === 'content' ? ' selected' : ''}>Content regex</option>
+                </select>
+                <label title="Summary, copy buttons, parts and Send use only the matching files">
+                    <input id="filterOnly" type="checkbox"${data.filter && data.filter.only ? ' checked' : ''}>Copy only filtered</label>
+                <span id="filterStatus" class="filter-status"></span>
+            </div>
 
-            <pre id="structure"><button class="copy-button" onclick="copyText()">
+            <div id="structure"><button class="copy-button" data-target="structure">
                 <svg width="18px" height="18px" viewBox="-2.4 -2.4 28.80 28.80" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <title>Copy</title>
                     <g id="SVGRepo_bgCarrier" stroke-width="0"></g>
                     <g id="SVGRepo_tracerCarrier" stroke-linecap="round" stroke-linejoin="round"></g>
                     <g id="SVGRepo_iconCarrier">
                         <g id="Edit / Copy">
-                            <path id="Vector" d="M9 9V6.2002C9 5.08009 9 4.51962 9.21799 4.0918C9.40973 3.71547 9.71547 3.40973 10.0918 3.21799C10.5196 3 11.0801 3 12.2002 3H17.8002C18.9203 3 19.4801 3 19.9079 3.21799C20.2842 3.40973 20.5905 3.71547 20.7822 4.0918C21.0002 4.51962 21.0002 5.07967 21.0002 6.19978V11.7998C21.0002 12.9199 21.0002 13.48 20.7822 13.9078C20.5905 14.2841 20.2839 14.5905 19.9076 14.7822C19.4802 15 18.921 15 17.8031 15H15M9 9H6.2002C5.08009 9 4.51962 9 4.0918 9.21799C3.71547 9.40973 3.40973 9.71547 3.21799 10.0918C3 10.5196 3 11.0801 3 12.2002V17.8002C3 18.9203 3 19.4801 3.21799 19.9079C3.40973 20.2842 3.71547 20.5905 4.0918 20.7822C4.5192 21 5.07899 21 6.19691 21H11.8036C12.9215 21 13.4805 21 13.9079 20.7822C14.2842 20.5905 14.5905 20.2839 14.7822 19.9076C15 19.4802 15 18.921 15 17.8031V15M9 9H11.8002C12.9203 9 13.4801 9 13.9079 9.21799C14.2842 9.40973 14.5905 9.71547 14.7822 10.0918C15 10.5192 15 11.079 15 12.1969L15 15" stroke="#ffffff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path>
+                            <path id="Vector" d="M9 9V6.2002C9 5.08009 9 4.51962 9.21799 4.0918C9.40973 3.71547 9.71547 3.40973 10.0918 3.21799C10.5196 3 11.0801 3 12.2002 3H17.8002C18.9203 3 19.4801 3 19.9079 3.21799C20.2842 3.40973 20.5905 3.71547 20.7822 4.0918C21.0002 4.51962 21.0002 5.07967 21.0002 6.19978V11.7998C21.0002 12.9199 21.0002 13.48 20.7822 13.9078C20.5905 14.2841 20.2839 14.5905 19.9076 14.7822C19.4802 15 18.921 15 17.8031 15H15M9 9H6.2002C5.08009 9 4.51962 9 4.0918 9.21799C3.71547 9.40973 3.40973 9.71547 3.21799 10.0918C3 10.5196 3 11.0801 3 12.2002V17.8002C3 18.9203 3 19.4801 3.21799 19.9079C3.40973 20.2842 3.71547 20.5905 4.0918 20.7822C4.5192 21 5.07899 21 6.19691 21H11.8036C12.9215 21 13.4805 21 13.9079 20.7822C14.2842 20.5905 14.5905 20.2839 14.7822 19.9076C15 19.4802 15 18.921 15 17.8031V15M9 9H11.8002C12.9203 9 13.4801 9 13.9079 9.21799C14.2842 9.40973 14.5905 9.71547 14.7822 10.0918C15 10.5192 15 11.079 15 12.1969L15 15" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path>
                         </g>
                     </g>
                 </svg>
-            </button>${structure}</pre>
+            </button><div id="treeContainer">${renderTree(data)}</div></div>
+
+            <details id="fileStats">
+                <summary><h1>File Statistics</h1></summary>
+                <div id="statsContainer">${renderFileStats(contents)}</div>
+            </details>
 
-            <h1>File Details</h1>
+            <div class="header-container">
+                <h1>File Details</h1>
+                <select id="formatSelector" class="model-selector" title="Output format">
+                    ${renderFormatOptions(formatName)}
+                </select>
+                <select id="templateSelector" class="model-selector" title="Prompt template for Copy All and export">
+                    ${renderTemplateOptions(templates, templateId)}
+                </select>
+            </div>
+            <textarea id="userQuestion" class="user-question" rows="2">${escapeHtml(question)}</textarea>
 
             <div class="content-container">
-                <button class="copy-button" onclick="copyContent()">
+                <button class="copy-button" data-target="contents">
                     <svg width="18px" height="18px" viewBox="-2.4 -2.4 28.80 28.80" fill="none" xmlns="http://www.w3.org/2000/svg">
                         <title>Copy</title>
                         <g id="SVGRepo_bgCarrier" stroke-width="0"></g>
                         <g id="SVGRepo_tracerCarrier" stroke-linecap="round" stroke-linejoin="round"></g>
                         <g id="SVGRepo_iconCarrier">
                             <g id="Edit / Copy">
-                                <path id="Vector" d="M9 9V6.2002C9 5.08009 9 4.51962 9.21799 4.0918C9.40973 3.71547 9.71547 3.40973 10.0918 3.21799C10.5196 3 11.0801 3 12.2002 3H17.8002C18.9203 3 19.4801 3 19.9079 3.21799C20.2842 3.40973 20.5905 3.71547 20.7822 4.0918C21.0002 4.51962 21.0002 5.07967 21.0002 6.19978V11.7998C21.0002 12.9199 21.0002 13.48 20.7822 13.9078C20.5905 14.2841 20.2839 14.5905 19.9076 14.7822C19.4802 15 18.921 15 17.8031 15H15M9 9H6.2002C5.08009 9 4.51962 9 4.0918 9.21799C3.71547 9.40973 3.40973 9.71547 3.21799 10.0918C3 10.5196 3 11.0801 3 12.2002V17.8002C3 18.9203 3 19.4801 3.21799 19.9079C3.40973 20.2842 3.71547 20.5905 4.0918 20.7822C4.5192 21 5.07899 21 6.19691 21H11.8036C12.9215 21 13.4805 21 13.9079 20.7822C14.2842 20.5905 14.5905 20.2839 14.7822 19.9076C15 19.4802 15 18.921 15 17.8031V15M9 9H11.8002C12.9203 9 13.4801 9 13.9079 9.21799C14.2842 9.40973 14.5905 9.71547 14.7822 10.0918C15 10.5192 15 11.079 15 12.1969L15 15" stroke="#ffffff" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path>
+                                <path id="Vector" d="M9 9V6.2002C9 5.08009 9 4.51962 9.21799 4.0918C9.40973 3.71547 9.71547 3.40973 10.0918 3.21799C10.5196 3 11.0801 3 12.2002 3H17.8002C18.9203 3 19.4801 3 19.9079 3.21799C20.2842 3.40973 20.5905 3.71547 20.7822 4.0918C21.0002 4.51962 21.0002 5.07967 21.0002 6.19978V11.7998C21.0002 12.9199 21.0002 13.48 20.7822 13.9078C20.5905 14.2841 20.2839 14.5905 19.9076 14.7822C19.4802 15 18.921 15 17.8031 15H15M9 9H6.2002C5.08009 9 4.51962 9 4.0918 9.21799C3.71547 9.40973 3.40973 9.71547 3.21799 10.0918C3 10.5196 3 11.0801 3 12.2002V17.8002C3 18.9203 3 19.4801 3.21799 19.9079C3.40973 20.2842 3.71547 20.5905 4.0918 20.7822C4.5192 21 5.07899 21 6.19691 21H11.8036C12.9215 21 13.4805 21 13.9079 20.7822C14.2842 20.5905 14.5905 20.2839 14.7822 19.9076C15 19.4802 15 18.921 15 17.8031V15M9 9H11.8002C12.9203 9 13.4801 9 13.9079 9.21799C14.2842 9.40973 14.5905 9.71547 14.7822 10.0918C15 10.5192 15 11.079 15 12.1969L15 15" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></path>
                             </g>
                         </g>
                     </svg>
                 </button>
-            ${contents.map((file, index) => `
-                <div class="file-separator">${index === 0 ? '' : '\n'}====================================\nFile: ${file.path}\n====================================\n</div>
-                <div class="file-content">${file.content.trim()}</div>`).join('')}
+                <div id="fileContents">${renderContents(contents, getConfiguredFormatter(formatName))}</div>
 
            </div>
 
             <div class="timestamp">Last Updated: ${new Date().toLocaleTimeString()}</div>
 
-            <script>
-                window.addEventListener('DOMContentLoaded', (event) => {
-                    const container = document.querySelector('.content-container');
-                    if (container) {
-                        // Remove any whitespace nodes that are direct children of content-container
-                        container.childNodes.forEach(node => {
-                            if (node.nodeType === Node.TEXT_NODE && node.textContent.trim() === '') {
-                                node.remove();
-                            }
-                        });
-
-                        // Clean up any remaining whitespace between elements
-                        const elements = container.children;
-                        for (let elem of elements) {
-                            if (elem.classList.contains('file-content')) {
-                                elem.textContent = elem.textContent.trim();
-                            }
-                        }
-                    }
-                });
-
-                async function copyText() {
-                    try {
-                        // Get the content of the structure element
-                        const structureElement = document.getElementById('structure');
-                        
-                        // Create a temporary element to hold the structure content
-                        const tempElement = document.createElement('div');
-                        tempElement.innerHTML = structureElement.innerHTML;
-                        
-                        // Remove the button element from our temporary container
-                        const buttonElement = tempElement.querySelector('.copy-button');
-                        if (buttonElement) {
-                            buttonElement.remove();
-                        }
-                        
-                        // Get the cleaned text content
-                        const textToCopy = tempElement.textContent.trim();
-                        
-                        // Copy to clipboard
-                        await navigator.clipboard.writeText(textToCopy);
-                        
-                        // Visual feedback
-                        const button = document.querySelector('.copy-button');
-                        button.style.opacity = '0.5';
-                        setTimeout(() => {
-                            button.style.opacity = '1';
-                        }, 200);
-                        
-                    } catch (err) {
-                        console.error('Failed to copy text:', err);
-                    }
-                }
-
-                // Helper function to decode HTML entities when copying
-                function decodeHtml(html) {
-                    const txt = document.createElement('textarea');
-                    txt.innerHTML = html;
-                    return txt.value;
-                }
-
-                async function copyContent() {
-                    try {
-                        const contentElement = document.querySelector('.content-container');
-                        const tempElement = document.createElement('div');
-                        tempElement.innerHTML = contentElement.innerHTML;
-                        
-                        // Remove the copy button
-                        const buttonElement = tempElement.querySelector('.copy-button');
-                        if (buttonElement) {
-                            buttonElement.remove();
-                        }
-                        
-                        // Get text content and decode HTML entities
-                        const textToCopy = decodeHtml(tempElement.textContent.trim());
-                        
-                        await navigator.clipboard.writeText(textToCopy);
-                        
-                        const button = document.querySelector('.content-container .copy-button');
-                        button.style.opacity = '0.5';
-                        setTimeout(() => {
-                            button.style.opacity = '1';
-                        }, 200);
-                        
-                    } catch (err) {
-                        console.error('Failed to copy content:', err);
-                    }
-                }
-
-                const modelRates = ${JSON.stringify(modelRates)};
-                const modelSelector = document.getElementById('modelSelector');
-                const tokenCostElement = document.getElementById('tokenCost');
-                const estimatedTokens = ${summary.estimatedTokens};
-
-                function calculateTokenCost(tokens, modelName) {
-                    // If no model is selected, return placeholder
-                    if (!modelName) {
-                        return '0';
-                    }
-
-                    const selectedModel = modelRates[modelName] || modelRates['claude-3-sonnet'];
-                    const tokensInMillions = tokens / 1_000_000;
-                    return (tokensInMillions * selectedModel.input).toFixed(6);
-                }
-
-                modelSelector.addEventListener('change', (e) => {
-                    const selectedModel = e.target.value;
-                    tokenCostElement.textContent = \`Estimated Cost: \${
-                        selectedModel 
-                            ? \`$\${calculateTokenCost(estimatedTokens, selectedModel)}\` 
-                            : '0'
-                    }\`;
-                });
-                
-            </script>
+            <script id="panelState" type="application/json">${scriptJson({
+                folderHeat: renderFolderHeat(contents),
+                filter: data.filter || null,
+                omitted: summary.budget ? summary.budget.omitted : []
+            })}</script>
+            <script nonce="${nonce}" src="${scriptUri}"></script>
         </body>
     </html>`;
 }
 
-function deactivate() { }
+function deactivate() {
+    freeEncoders();
+}
 
 // Export all necessary components
 module.exports = {
     activate,
     deactivate,
-    DirectoryStructureProvider,
     ViewProvider,
     getWebviewContent,
     formatSize,
@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { isBinary, decodeText } = require('./textDetection');
+
+// Write the token counts to disk at most this often
+const saveDelayMs = 2000;
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Runs fn over items with at most `limit` calls in flight, keeping the order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Remembers file contents and token counts between scans. Contents are kept in
+// memory and reused while a file's mtime and size are unchanged. Token counts
+// are keyed by content hash and a model key and saved to storagePath, so they
+// survive a reload even though the contents have to be read again.
+class FileCache {
+    constructor(storagePath = null) {
+        this.storagePath = storagePath;
+        // fsPath -> { mtime, size, hash, binary, content, tokens: { key: count } }
+        this.entries = new Map();
+        this.saveTimer = null;
+    }
+
+    async load() {
+        if (!this.storagePath) {
+            return;
+        }
+        try {
+            const saved = JSON.parse(await fs.readFile(this.storagePath, 'utf-8'));
+            Object.entries(saved).forEach(([fsPath, entry]) => {
+                this.entries.set(fsPath, { ...entry, content: null });
+            });
+        } catch {
+            // Nothing saved yet, or an unreadable file that the next save replaces
+        }
+    }
+
+    // Returns the file's cache entry, reading the disk only when the file
+    // changed since it was last read. The entry is null for files larger than
+    // options.maxSize bytes, which are not read at all. Binary files get an
+    // entry without content unless options.trusted says to read them as text.
+    async read(fsPath, options = {}) {
+        const { maxSize = 0, trusted = false } = options;
+        const stat = await fs.stat(fsPath);
+        if (maxSize > 0 && stat.size > maxSize) {
+            return { entry: null, stat };
+        }
+        let entry = this.entries.get(fsPath);
+        const unchanged = entry && entry.mtime === stat.mtimeMs && entry.size === stat.size;
+        // A saved binary flag spares reading the file again after a reload
+        if (unchanged && (entry.content !== null || (entry.binary && !trusted))) {
+            return { entry, stat };
+        }
+
+        const buffer = await fs.readFile(fsPath);
+        const hash = hashContent(buffer);
+        const binary = isBinary(buffer);
+        const content = binary && !trusted ? null : decodeText(buffer);
+        // Same content as the saved entry (e.g. after a reload): keep its token counts
+        const tokens = entry && entry.hash === hash ? entry.tokens : {};
+        entry = { mtime: stat.mtimeMs, size: stat.size, hash, binary, content, tokens };
+        this.entries.set(fsPath, entry);
+        return { entry, stat };
+    }
+
+    // Token count of an entry under a key, computed by count() on a miss
+    tokens(entry, key, count) {
+        if (entry.tokens[key] === undefined) {
+            entry.tokens[key] = count(entry.content);
+            this.scheduleSave();
+        }
+        return entry.tokens[key];
+    }
+
+    invalidate(fsPath) {
+        // A deleted folder arrives as one path, so drop everything below it too
+        const prefix = fsPath + path.sep;
+        [...this.entries.keys()].forEach(key => {
+            if (key === fsPath || key.startsWith(prefix)) {
+                this.entries.delete(key);
+            }
+        });
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if (!this.storagePath || this.saveTimer) {
+            return;
+        }
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => console.error('Failed to save VSingest cache:', error));
+        }, saveDelayMs);
+    }
+
+    async save() {
+        if (!this.storagePath) {
+            return;
+        }
+        const saved = {};
+        this.entries.forEach(({ mtime, size, hash, binary, tokens }, fsPath) => {
+            saved[fsPath] = { mtime, size, hash, binary, tokens };
+        });
+        await fs.mkdir(path.dirname(this.storagePath), { recursive: true });
+        await fs.writeFile(this.storagePath, JSON.stringify(saved), 'utf-8');
+    }
+
+    // Flushes a pending save so counts from the last seconds are not lost
+    dispose() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.save().catch(error => console.error('Failed to save VSingest cache:', error));
+        }
+    }
+}
+
+module.exports = {
+    FileCache,
+    mapWithConcurrency
+};
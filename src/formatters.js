@@ -0,0 +1,194 @@
+const path = require('path');
+
+// Fence languages for Markdown output and the "language" field in JSON
+const languages = {
+    '.js': 'javascript', '.jsx': 'jsx', '.mjs': 'javascript', '.cjs': 'javascript',
+    '.ts': 'typescript', '.tsx': 'tsx', '.py': 'python', '.java': 'java',
+    '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.cs': 'csharp', '.go': 'go',
+    '.rb': 'ruby', '.php': 'php', '.rs': 'rust', '.kt': 'kotlin', '.swift': 'swift',
+    '.html': 'html', '.css': 'css', '.scss': 'scss', '.sass': 'sass', '.less': 'less',
+    '.vue': 'vue', '.svelte': 'svelte', '.json': 'json', '.xml': 'xml',
+    '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini', '.env': 'dotenv',
+    '.md': 'markdown', '.rst': 'rst', '.tex': 'latex', '.sh': 'bash', '.bash': 'bash',
+    '.zsh': 'zsh', '.fish': 'fish', '.csv': 'csv', '.sql': 'sql',
+    '.graphql': 'graphql', '.prisma': 'prisma'
+};
+
+function languageForPath(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return languages[ext] || ext.slice(1) || 'text';
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Longer than any backtick run in the content, so the fence cannot be closed early
+function markdownFence(content) {
+    const runs = content.match(/`{3,}/g) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+    return '`'.repeat(longest + 1);
+}
+
+function indent(text, spaces) {
+    const padding = ' '.repeat(spaces);
+    return text.split('\n').map(line => padding + line).join('\n');
+}
+
+// " (modified, +3 -1)" for files picked by a git mode, '' otherwise
+function changeNote(file) {
+    return file.change ? ` (${file.change.status}, +${file.change.added} -${file.change.removed})` : '';
+}
+
+// " (lines 120-260)" for a piece of a file split across parts
+function linesNote(file) {
+    return file.lines ? ` (lines ${file.lines.start}-${file.lines.end})` : '';
+}
+
+// "12:5 error: Missing semicolon (eslint)" per editor diagnostic of the file
+function diagnosticLines(file) {
+    return (file.diagnostics || []).map(diagnostic => `${diagnostic.line}:${diagnostic.column} ${diagnostic.severity}: `
+        + `${diagnostic.message}${diagnostic.source ? ` (${diagnostic.source})` : ''}`);
+}
+
+// The file's content, its git diff and its diagnostics, whichever are present
+function contentAndDiff(file, formatContent, formatDiff, formatDiagnostics = null) {
+    const content = file.content.trim();
+    const diagnostics = diagnosticLines(file);
+    return [
+        content ? formatContent(content) : '',
+        file.diff ? formatDiff(file.diff.trim()) : '',
+        formatDiagnostics && diagnostics.length > 0 ? formatDiagnostics(diagnostics) : ''
+    ].filter(Boolean).join('\n\n');
+}
+
+// A formatter describes the prompt as
+//   header(context) + file(file, index) joined by separator + footer(context)
+// where context is { structure, includeTree }. Keeping the file blocks
+// separate lets the webview show each file on its own.
+const formatters = {
+    plain: {
+        label: 'Plain Text',
+        header: ({ structure, includeTree }) => (includeTree ? `Directory Structure:\n\n${structure}\n` : ''),
+        file: file => `====================================\nFile: ${file.path}${linesNote(file)}${changeNote(file)}\n====================================\n`
+            + contentAndDiff(
+                file,
+                content => content,
+                diff => `------------------------------------\nDiff:\n${diff}`,
+                lines => `------------------------------------\nProblems:\n${lines.map(line => `- ${line}`).join('\n')}`
+            ),
+        separator: '\n\n',
+        footer: () => ''
+    },
+    markdown: {
+        label: 'Markdown',
+        header: ({ structure, includeTree }) => (includeTree ? `# Directory Structure\n\n\`\`\`\n${structure}\`\`\`\n\n` : ''),
+        file: file => `## ${file.path}${linesNote(file)}${changeNote(file)}\n\n` + contentAndDiff(
+            file,
+            content => {
+                const fence = markdownFence(content);
+                return `${fence}${languageForPath(file.path)}\n${content}\n${fence}`;
+            },
+            diff => {
+                const fence = markdownFence(diff);
+                return `${fence}diff\n${diff}\n${fence}`;
+            },
+            lines => `Problems:\n${lines.map(line => `- ${line}`).join('\n')}`
+        ),
+        separator: '\n\n',
+        footer: () => ''
+    },
+    xml: {
+        label: 'XML Documents',
+        header: ({ structure, includeTree }) => (includeTree
+            ? `<directory_structure>\n${escapeXml(structure)}</directory_structure>\n`
+            : '') + '<documents>\n',
+        file: (file, index) => `<document index="${index + 1}"${file.lines ? ` lines="${file.lines.start}-${file.lines.end}"` : ''}>\n<source>${escapeXml(file.path)}</source>\n`
+            + (file.change
+                ? `<change status="${file.change.status}" added="${file.change.added}" removed="${file.change.removed}"/>\n`
+                : '')
+            + contentAndDiff(
+                file,
+                content => `<document_content>\n${content}\n</document_content>`,
+                diff => `<diff>\n${diff}\n</diff>`,
+                () => `<diagnostics>\n${file.diagnostics.map(diagnostic => `<diagnostic line="${diagnostic.line}" `
+                    + `column="${diagnostic.column}" severity="${diagnostic.severity}"`
+                    + `${diagnostic.source ? ` source="${escapeXml(diagnostic.source).replace(/"/g, '&quot;')}"` : ''}>`
+                    + `${escapeXml(diagnostic.message)}</diagnostic>`).join('\n')}\n</diagnostics>`
+            )
+            + '\n</document>',
+        separator: '\n',
+        footer: () => '\n</documents>'
+    },
+    json: {
+        label: 'JSON',
+        header: ({ structure, includeTree }) => '{\n'
+            + (includeTree ? `  "tree": ${JSON.stringify(structure)},\n` : '')
+            + '  "files": [\n',
+        file: file => indent(JSON.stringify({
+            path: file.path,
+            language: languageForPath(file.path),
+            tokens: file.tokens,
+            ...(file.lines ? { lines: file.lines } : {}),
+            ...(file.change ? { change: file.change } : {}),
+            content: file.content,
+            ...(file.diff ? { diff: file.diff } : {}),
+            ...(file.diagnostics && file.diagnostics.length > 0 ? { diagnostics: file.diagnostics } : {})
+        }, null, 2), 4),
+        separator: ',\n',
+        footer: () => '\n  ]\n}'
+    }
+};
+
+function fillTemplate(template, values) {
+    return (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        (Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : match));
+}
+
+// Builds the 'custom' formatter from the vsingest.customFormat setting
+function templateFormatter(template = {}) {
+    return {
+        label: 'Custom Template',
+        header: ({ structure, includeTree }) => fillTemplate(template.header, { tree: includeTree ? structure : '' }),
+        file: (file, index) => fillTemplate(template.file, {
+            index: index + 1,
+            path: file.path,
+            language: languageForPath(file.path),
+            tokens: file.tokens,
+            content: file.content.trim(),
+            lines: file.lines ? `${file.lines.start}-${file.lines.end}` : '',
+            status: file.change ? file.change.status : '',
+            diff: file.diff ? file.diff.trim() : '',
+            diagnostics: diagnosticLines(file).join('\n')
+        }),
+        separator: template.separator === undefined ? '\n\n' : template.separator,
+        footer: ({ structure, includeTree }) => fillTemplate(template.footer, { tree: includeTree ? structure : '' })
+    };
+}
+
+function getFormatter(name, customTemplate) {
+    if (name === 'custom') {
+        return templateFormatter(customTemplate);
+    }
+    return formatters[name] || formatters.plain;
+}
+
+function formatOutput(formatter, { structure, files }, includeTree = false) {
+    const context = { structure, includeTree };
+    return formatter.header(context)
+        + files.map((file, index) => formatter.file(file, index)).join(formatter.separator)
+        + formatter.footer(context);
+}
+
+module.exports = {
+    formatters,
+    languageForPath,
+    markdownFence,
+    diagnosticLines,
+    fillTemplate,
+    getFormatter,
+    formatOutput
+};
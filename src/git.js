@@ -0,0 +1,194 @@
+const path = require('path');
+const { execFile } = require('child_process');
+
+// git's hash of the empty tree, the base for a diff that starts at the first commit
+const emptyTree = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+// Output larger than this fails the git command instead of being cut off;
+// enough for any reviewable change
+const maxBuffer = 64 * 1024 * 1024;
+
+const modes = {
+    workingTree: 'Working tree changes',
+    staged: 'Staged changes',
+    ref: 'Changes against a ref',
+    commits: 'Last commits'
+};
+
+// Runs git in cwd and resolves with stdout, or rejects with git's own message.
+// Output over maxBuffer rejects with an error whose code is 'ETOOLARGE'.
+// env adds to the environment git runs in.
+function runGit(cwd, args, encoding = 'utf-8', env = null) {
+    return new Promise((resolve, reject) => {
+        const options = { cwd, encoding, maxBuffer, env: env ? { ...process.env, ...env } : undefined };
+        execFile('git', ['-c', 'core.quotePath=false', ...args], options, (error, stdout, stderr) => {
+            if (error && error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+                reject(Object.assign(new Error(`git ${args[0]} printed more than ${maxBuffer / 1024 / 1024} MB`), { code: 'ETOOLARGE' }));
+                return;
+            }
+            if (error) {
+                const message = stderr ? stderr.toString().trim() : error.message;
+                reject(new Error(error.code === 'ENOENT' ? 'git was not found on the PATH' : message));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+async function revParse(cwd, rev) {
+    try {
+        return (await runGit(cwd, ['rev-parse', '--verify', '-q', `${rev}^{commit}`])).trim();
+    } catch {
+        return null;
+    }
+}
+
+function shortHash(hash) {
+    return hash === emptyTree ? 'empty tree' : hash.slice(0, 7);
+}
+
+// The arguments that select each mode's changes for `git diff`, plus a label
+// for the summary. Working tree and ref modes compare against the files on disk.
+async function diffRange(cwd, options) {
+    const head = await revParse(cwd, 'HEAD');
+    switch (options.mode) {
+        case 'workingTree':
+            return { args: [head || emptyTree], range: `${head ? shortHash(head) : 'empty tree'}..working tree` };
+        case 'staged':
+            return { args: ['--cached', head || emptyTree], range: `${head ? shortHash(head) : 'empty tree'}..index` };
+        case 'ref': {
+            const ref = options.ref || 'main';
+            if (!(await revParse(cwd, ref))) {
+                throw new Error(`Unknown git ref '${ref}'`);
+            }
+            // Against the merge base, so commits that landed on the ref since
+            // the branch was cut do not show up as reverted
+            let base;
+            try {
+                base = (await runGit(cwd, ['merge-base', ref, 'HEAD'])).trim();
+            } catch {
+                base = await revParse(cwd, ref);
+            }
+            return { args: [base], range: `${ref} (${shortHash(base)})..working tree` };
+        }
+        case 'commits': {
+            if (!head) {
+                throw new Error('The repository has no commits yet');
+            }
+            const count = Math.max(1, options.commits || 1);
+            const hashes = (await runGit(cwd, ['log', `-n${count}`, '--format=%H'])).trim().split('\n');
+            const oldest = hashes[hashes.length - 1];
+            const base = (await revParse(cwd, `${oldest}^`)) || emptyTree;
+            return {
+                args: [base, head],
+                range: `${shortHash(base)}..${shortHash(head)} (${hashes.length} commit${hashes.length === 1 ? '' : 's'})`
+            };
+        }
+        default:
+            throw new Error(`Unknown git mode '${options.mode}'`);
+    }
+}
+
+// "12\t3\tpath\0" records; binary files report "-" for both counts
+function parseNumstat(output) {
+    return output.split('\0').filter(Boolean).map(record => {
+        const [added, removed, ...rest] = record.split('\t');
+        return {
+            path: rest.join('\t'),
+            added: added === '-' ? 0 : Number(added),
+            removed: removed === '-' ? 0 : Number(removed)
+        };
+    });
+}
+
+// Splits a multi-file unified diff into one diff per path
+function splitDiff(output) {
+    const diffs = new Map();
+    output.split(/^(?=diff --git )/m).forEach(chunk => {
+        const match = /^diff --git a\/(.*) b\/\1$/m.exec(chunk);
+        if (match) {
+            diffs.set(match[1], chunk.trimEnd());
+        }
+    });
+    return diffs;
+}
+
+// The files a git mode selects in the repository holding cwd, with paths
+// relative to cwd. Resolves with { range, files: Map(path -> { status,
+// added, removed, diff }) }; status is 'modified', 'added', 'deleted' or
+// 'untracked', and untracked files have no diff yet since git has none.
+async function getChanges(cwd, options) {
+    const { args, range } = await diffRange(cwd, options);
+    const diffArgs = ['diff', '--relative', '--no-renames', '--no-color', '--no-ext-diff', ...args];
+    let numstat, nameStatus, diffOutput;
+    try {
+        [numstat, nameStatus, diffOutput] = await Promise.all([
+            runGit(cwd, [...diffArgs, '--numstat', '-z']),
+            runGit(cwd, [...diffArgs, '--name-status', '-z']),
+            options.display === 'full' ? Promise.resolve('') : runGit(cwd, diffArgs)
+        ]);
+    } catch (error) {
+        if (error.code === 'ETOOLARGE') {
+            throw new Error(`The diff for ${range} is larger than ${maxBuffer / 1024 / 1024} MB, pick a narrower range or show full files instead of diffs`);
+        }
+        throw error;
+    }
+
+    const statuses = new Map();
+    const fields = nameStatus.split('\0');
+    for (let i = 0; i + 1 < fields.length; i += 2) {
+        statuses.set(fields[i + 1], { A: 'added', D: 'deleted' }[fields[i]] || 'modified');
+    }
+    const diffs = splitDiff(diffOutput);
+    const files = new Map();
+    parseNumstat(numstat).forEach(change => {
+        files.set(toPlatformPath(change.path), {
+            status: statuses.get(change.path) || 'modified',
+            added: change.added,
+            removed: change.removed,
+            diff: diffs.get(change.path) || null
+        });
+    });
+
+    if (options.mode === 'workingTree') {
+        const untracked = await runGit(cwd, ['ls-files', '--others', '--exclude-standard', '-z']);
+        untracked.split('\0').filter(Boolean).forEach(filePath => {
+            files.set(toPlatformPath(filePath), { status: 'untracked', added: 0, removed: 0, diff: null });
+        });
+    }
+
+    return { range, files };
+}
+
+// A file's content as staged in the index, or null when it is not there
+async function readStaged(cwd, relativePath) {
+    try {
+        return await runGit(cwd, ['show', `:./${relativePath.split(path.sep).join('/')}`], 'buffer');
+    } catch {
+        return null;
+    }
+}
+
+// Diff for a file git does not track yet: every line added
+function untrackedDiff(relativePath, content) {
+    const posixPath = relativePath.split(path.sep).join('/');
+    const lines = content.length > 0 ? content.replace(/\n$/, '').split('\n') : [];
+    return {
+        added: lines.length,
+        diff: `diff --git a/${posixPath} b/${posixPath}\nnew file mode 100644\n--- /dev/null\n+++ b/${posixPath}\n`
+            + `@@ -0,0 +1,${lines.length} @@\n` + lines.map(line => `+${line}`).join('\n')
+    };
+}
+
+function toPlatformPath(posixPath) {
+    return posixPath.split('/').join(path.sep);
+}
+
+module.exports = {
+    modes,
+    runGit,
+    getChanges,
+    readStaged,
+    untrackedDiff
+};
@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ignore = require('ignore');
+
+// Read in this order within each directory, so a .vsingestignore can
+// re-include (with !pattern) something a .gitignore excluded
+const ignoreFileNames = ['.gitignore', '.ignore', '.vsingestignore'];
+
+// Never useful in a prompt, whatever the ignore files say
+const alwaysIgnored = ['.git/', '.svn/', '.hg/'];
+
+function toPosix(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+async function readLines(filePath) {
+    try {
+        return (await fs.readFile(filePath, 'utf-8')).split(/\r?\n/);
+    } catch {
+        return null;
+    }
+}
+
+// Applies nested ignore files below a root with gitignore semantics: patterns
+// are relative to the directory holding the file, deeper files override
+// shallower ones, and nothing inside an ignored directory can be re-included.
+class IgnoreFilter {
+    constructor(rootPath, options = {}) {
+        this.rootPath = rootPath;
+        this.useGitignore = options.useGitignore !== false;
+        this.patterns = options.patterns || [];
+        // Directory (posix, '' for root) -> ignore instance, or null when it has no rules
+        this.rules = new Map();
+        // Directory -> whether it is ignored, filled lazily by isIgnored
+        this.ignoredDirs = new Map();
+    }
+
+    async loadDirectory(dir) {
+        if (this.rules.has(dir)) {
+            return;
+        }
+        // Reserve the entry so concurrent loads of the same directory are skipped
+        this.rules.set(dir, null);
+
+        const names = this.useGitignore ? ignoreFileNames : ['.vsingestignore'];
+        const lines = [];
+        if (dir === '') {
+            lines.push(...alwaysIgnored, ...this.patterns);
+            if (this.useGitignore) {
+                lines.push(...(await readLines(path.join(this.rootPath, '.git', 'info', 'exclude')) || []));
+            }
+        }
+        for (const name of names) {
+            lines.push(...(await readLines(path.join(this.rootPath, dir, name)) || []));
+        }
+
+        if (lines.some(line => line.trim() && !line.startsWith('#'))) {
+            this.rules.set(dir, ignore().add(lines));
+        }
+    }
+
+    // Loads the ignore files of every directory that holds one of the given paths
+    async load(relativePaths) {
+        const dirs = new Set(['']);
+        relativePaths.forEach(relativePath => {
+            const parts = toPosix(relativePath).split('/');
+            for (let i = 1; i < parts.length; i++) {
+                dirs.add(parts.slice(0, i).join('/'));
+            }
+        });
+        await Promise.all([...dirs].map(dir => this.loadDirectory(dir)));
+    }
+
+    // Evaluates one path against the rules of each ancestor directory,
+    // from the root down, letting the last matching rule win
+    matches(posixPath, isDirectory) {
+        const parts = posixPath.split('/');
+        let ignored = false;
+        for (let i = 0; i < parts.length; i++) {
+            const dir = parts.slice(0, i).join('/');
+            const rules = this.rules.get(dir);
+            if (!rules) {
+                continue;
+            }
+            const relative = parts.slice(i).join('/') + (isDirectory ? '/' : '');
+            const result = rules.test(relative);
+            if (result.ignored) {
+                ignored = true;
+            } else if (result.unignored) {
+                ignored = false;
+            }
+        }
+        return ignored;
+    }
+
+    isDirectoryIgnored(posixDir) {
+        if (!this.ignoredDirs.has(posixDir)) {
+            const parent = posixDir.includes('/') ? posixDir.slice(0, posixDir.lastIndexOf('/')) : '';
+            const ignored = (parent !== '' && this.isDirectoryIgnored(parent)) || this.matches(posixDir, true);
+            this.ignoredDirs.set(posixDir, ignored);
+        }
+        return this.ignoredDirs.get(posixDir);
+    }
+
+    // Call load() with the path first so its directories' rules are known
+    isIgnored(relativePath) {
+        const posixPath = toPosix(relativePath);
+        const slash = posixPath.lastIndexOf('/');
+        if (slash !== -1 && this.isDirectoryIgnored(posixPath.slice(0, slash))) {
+            return true;
+        }
+        return this.matches(posixPath, false);
+    }
+
+    async filter(relativePaths) {
+        await this.load(relativePaths);
+        return relativePaths.filter(relativePath => !this.isIgnored(relativePath));
+    }
+}
+
+// Turns a files.exclude / search.exclude style object into a single glob.
+// Entries with a "when" clause depend on sibling files and are skipped.
+function excludeGlob(...excludeMaps) {
+    const globs = new Set();
+    excludeMaps.forEach(map => {
+        Object.entries(map || {}).forEach(([glob, enabled]) => {
+            if (enabled === true) {
+                globs.add(glob);
+            }
+        });
+    });
+    if (globs.size === 0) {
+        return null;
+    }
+    return globs.size === 1 ? [...globs][0] : `{${[...globs].join(',')}}`;
+}
+
+module.exports = {
+    IgnoreFilter,
+    excludeGlob,
+    ignoreFileNames
+};
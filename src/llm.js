@@ -0,0 +1,170 @@
+// Streams a chat completion from an OpenAI-compatible server (OpenAI, Ollama,
+// llama.cpp, vLLM, ...) or the Anthropic Messages API.
+
+function isOpenAI(baseUrl) {
+    return !baseUrl || /^https:\/\/api\.openai\.com(\/|$)/.test(baseUrl);
+}
+
+const providers = {
+    openai: {
+        label: 'OpenAI-compatible',
+        baseUrl: 'https://api.openai.com/v1',
+        request: (options, prompt) => ({
+            path: '/chat/completions',
+            headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {},
+            body: {
+                model: options.model,
+                messages: [{ role: 'user', content: prompt }],
+                // OpenAI's o-series reject max_tokens; local servers may not know its successor
+                [isOpenAI(options.baseUrl) ? 'max_completion_tokens' : 'max_tokens']: options.maxOutputTokens,
+                stream: true,
+                // Servers that do not know this option ignore it
+                stream_options: { include_usage: true }
+            }
+        }),
+        // Chunks carry text deltas; the last one the usage
+        handle: (event, data, result, onText) => {
+            if (data.error) {
+                throw new Error(typeof data.error === 'string' ? data.error : data.error.message || 'The API reported an error');
+            }
+            const delta = data.choices && data.choices[0] && data.choices[0].delta;
+            if (delta && delta.content) {
+                onText(delta.content);
+            }
+            if (data.usage) {
+                result.usage = {
+                    inputTokens: data.usage.prompt_tokens || 0,
+                    cachedInputTokens: (data.usage.prompt_tokens_details && data.usage.prompt_tokens_details.cached_tokens) || 0,
+                    cacheWriteTokens: 0,
+                    outputTokens: data.usage.completion_tokens || 0
+                };
+            }
+        }
+    },
+    anthropic: {
+        label: 'Anthropic',
+        baseUrl: 'https://api.anthropic.com/v1',
+        request: (options, prompt) => ({
+            path: '/messages',
+            headers: { 'x-api-key': options.apiKey || '', 'anthropic-version': '2023-06-01' },
+            body: {
+                model: options.model,
+                max_tokens: options.maxOutputTokens,
+                messages: [{ role: 'user', content: prompt }],
+                stream: true
+            }
+        }),
+        // message_start has the input usage, message_delta the output usage
+        handle: (event, data, result, onText) => {
+            if (event === 'error' || data.type === 'error') {
+                throw new Error(data.error ? data.error.message : 'The API reported an error');
+            }
+            if (data.type === 'message_start' && data.message.usage) {
+                const usage = data.message.usage;
+                const cached = usage.cache_read_input_tokens || 0;
+                const written = usage.cache_creation_input_tokens || 0;
+                // input_tokens leaves out what was read from or written to the cache
+                result.usage = {
+                    inputTokens: (usage.input_tokens || 0) + cached + written,
+                    cachedInputTokens: cached,
+                    cacheWriteTokens: written,
+                    outputTokens: usage.output_tokens || 0
+                };
+            } else if (data.type === 'content_block_delta' && data.delta.type === 'text_delta') {
+                onText(data.delta.text);
+            } else if (data.type === 'message_delta' && data.usage && result.usage) {
+                result.usage.outputTokens = data.usage.output_tokens;
+            }
+        }
+    }
+};
+
+// Calls onEvent(eventName, data) for each server-sent event in the stream
+async function readEvents(body, onEvent) {
+    const decoder = new TextDecoder();
+    const reader = body.getReader();
+    let buffer = '';
+    let event = 'message';
+    let data = [];
+    const dispatch = () => {
+        if (data.length > 0) {
+            onEvent(event, data.join('\n'));
+        }
+        event = 'message';
+        data = [];
+    };
+
+    try {
+        for (;;) {
+            const { value, done } = await reader.read();
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = done ? '' : lines.pop();
+            lines.forEach(line => {
+                if (line === '') {
+                    dispatch();
+                } else if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data.push(line.slice(5).trimStart());
+                }
+            });
+            if (done) {
+                dispatch();
+                return;
+            }
+        }
+    } finally {
+        // Closes the connection when onEvent threw; a finished stream ignores it
+        reader.cancel().catch(() => {});
+    }
+}
+
+// options: { provider, baseUrl, model, apiKey, maxOutputTokens, signal }.
+// onText receives the response as it streams in. Resolves with the whole
+// text and { inputTokens, cachedInputTokens, cacheWriteTokens, outputTokens },
+// or null usage when the server does not report it. inputTokens includes the
+// cached and cache-write tokens.
+async function streamCompletion(options, prompt, onText) {
+    const provider = providers[options.provider];
+    if (!provider) {
+        throw new Error(`Unknown provider '${options.provider}'`);
+    }
+    const { path, headers, body } = provider.request(options, prompt);
+    const baseUrl = (options.baseUrl || provider.baseUrl).replace(/\/+$/, '');
+
+    const response = await fetch(baseUrl + path, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'text/event-stream', ...headers },
+        body: JSON.stringify(body),
+        signal: options.signal
+    });
+    if (!response.ok) {
+        const text = await response.text();
+        let message = text;
+        try {
+            const error = JSON.parse(text).error;
+            message = typeof error === 'string' ? error : error.message;
+        } catch {
+            // Not JSON, the raw text will do
+        }
+        throw new Error(`${response.status} ${response.statusText}: ${message || 'no details'}`);
+    }
+
+    const result = { text: '', usage: null };
+    await readEvents(response.body, (event, data) => {
+        if (data === '[DONE]') {
+            return;
+        }
+        provider.handle(event, JSON.parse(data), result, text => {
+            result.text += text;
+            onText(text);
+        });
+    });
+    return result;
+}
+
+module.exports = {
+    providers,
+    streamCompletion
+};
@@ -0,0 +1,84 @@
+// Built-in pricing in USD per million tokens, from the providers' published
+// list prices. Entries in the vsingest.models setting override these field by
+// field and add custom or self-hosted models. apiModel is the id the
+// provider's API expects when it differs from the registry id. cacheWrite is
+// the rate for input written to Anthropic's prompt cache.
+const defaultModels = {
+    'gpt-4.1': { label: 'GPT-4.1', input: 2, cachedInput: 0.5, output: 8, contextWindow: 1_047_576 },
+    'gpt-4.1-mini': { label: 'GPT-4.1 mini', input: 0.4, cachedInput: 0.1, output: 1.6, contextWindow: 1_047_576 },
+    'gpt-4o': { label: 'GPT-4o', input: 2.5, cachedInput: 1.25, output: 10, contextWindow: 128_000 },
+    'gpt-4o-mini': { label: 'GPT-4o mini', input: 0.15, cachedInput: 0.075, output: 0.6, contextWindow: 128_000 },
+    'openai-o1': { label: 'OpenAI o1', apiModel: 'o1', input: 15, cachedInput: 7.5, output: 60, contextWindow: 200_000 },
+    'o3': { label: 'OpenAI o3', input: 2, cachedInput: 0.5, output: 8, contextWindow: 200_000 },
+    'openai-o3-mini': { label: 'OpenAI o3-mini', apiModel: 'o3-mini', input: 1.1, cachedInput: 0.55, output: 4.4, contextWindow: 200_000 },
+    'o4-mini': { label: 'OpenAI o4-mini', input: 1.1, cachedInput: 0.275, output: 4.4, contextWindow: 200_000 },
+    'claude-opus-4': { label: 'Claude Opus 4', apiModel: 'claude-opus-4-20250514', input: 15, cachedInput: 1.5, cacheWrite: 18.75, output: 75, contextWindow: 200_000 },
+    'claude-sonnet-4': { label: 'Claude Sonnet 4', apiModel: 'claude-sonnet-4-20250514', input: 3, cachedInput: 0.3, cacheWrite: 3.75, output: 15, contextWindow: 200_000 },
+    'claude-3-7-sonnet': { label: 'Claude 3.7 Sonnet', apiModel: 'claude-3-7-sonnet-latest', input: 3, cachedInput: 0.3, cacheWrite: 3.75, output: 15, contextWindow: 200_000 },
+    'claude-3-5-haiku': { label: 'Claude 3.5 Haiku', apiModel: 'claude-3-5-haiku-latest', input: 0.8, cachedInput: 0.08, cacheWrite: 1, output: 4, contextWindow: 200_000 },
+    'claude-3-opus': { label: 'Claude 3 Opus', apiModel: 'claude-3-opus-latest', input: 15, cachedInput: 1.5, cacheWrite: 18.75, output: 75, contextWindow: 200_000 },
+    'claude-3-haiku': { label: 'Claude 3 Haiku', apiModel: 'claude-3-haiku-20240307', input: 0.25, cachedInput: 0.03, cacheWrite: 0.3, output: 1.25, contextWindow: 200_000 },
+    'gemini-2.5-pro': { label: 'Gemini 2.5 Pro', input: 1.25, cachedInput: 0.31, output: 10, contextWindow: 1_048_576 },
+    'gemini-2.5-flash': { label: 'Gemini 2.5 Flash', input: 0.3, cachedInput: 0.075, output: 2.5, contextWindow: 1_048_576 },
+    'gemini-2.0-flash': { label: 'Gemini 2.0 Flash', input: 0.1, cachedInput: 0.025, output: 0.4, contextWindow: 1_048_576 }
+};
+
+function isRate(value) {
+    return typeof value === 'number' && value >= 0;
+}
+
+// The built-in models merged with the custom ones. Custom entries without
+// usable input and output rates are dropped, so a typo cannot show $NaN.
+function getModels(customModels = {}) {
+    const models = {};
+    Object.entries(defaultModels).forEach(([id, model]) => {
+        models[id] = { id, ...model };
+    });
+    Object.entries(customModels || {}).forEach(([id, custom]) => {
+        const model = { id, label: id, ...models[id], ...custom };
+        if (isRate(model.input) && isRate(model.output)) {
+            models[id] = model;
+        }
+    });
+    return models;
+}
+
+// Dollar costs for sending inputTokens and getting outputTokens back. The
+// cached figure assumes the whole input is served from the prompt cache.
+function estimateCost(model, inputTokens, outputTokens = 0) {
+    const perToken = rate => (rate || 0) / 1_000_000;
+    const input = inputTokens * perToken(model.input);
+    const cachedInput = isRate(model.cachedInput) ? inputTokens * perToken(model.cachedInput) : null;
+    const output = outputTokens * perToken(model.output);
+    return { input, cachedInput, output, total: input + output };
+}
+
+// Dollar cost of a finished request from the usage the API reported. Input
+// read from or written to the prompt cache is priced at the cache rates,
+// where the model has them.
+function usageCost(model, usage) {
+    const perToken = rate => (rate || 0) / 1_000_000;
+    const cached = isRate(model.cachedInput) ? usage.cachedInputTokens || 0 : 0;
+    const written = isRate(model.cacheWrite) ? usage.cacheWriteTokens || 0 : 0;
+    return (usage.inputTokens - cached - written) * perToken(model.input)
+        + cached * perToken(model.cachedInput)
+        + written * perToken(model.cacheWrite)
+        + usage.outputTokens * perToken(model.output);
+}
+
+// Whether the input plus the expected response fits the context window;
+// null when the window is unknown
+function fitsContext(model, inputTokens, outputTokens = 0) {
+    if (!model.contextWindow) {
+        return null;
+    }
+    return inputTokens + outputTokens <= model.contextWindow;
+}
+
+module.exports = {
+    defaultModels,
+    getModels,
+    estimateCost,
+    usageCost,
+    fitsContext
+};
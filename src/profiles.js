@@ -0,0 +1,86 @@
+const path = require('path');
+const fs = require('fs');
+const { formatters } = require('./formatters');
+
+// Relative to the first workspace folder, so it can be committed with the repo
+const profilesPath = path.join('.vsingest', 'profiles.json');
+
+// Written by "Select Profile" when there is no profiles file yet
+const exampleProfiles = {
+    backend: {
+        include: ['server/**', 'shared/**'],
+        exclude: ['**/*.test.*'],
+        format: 'xml',
+        model: 'claude-sonnet-4',
+        budget: 100000,
+        template: 'codeReview'
+    },
+    frontend: {
+        include: ['web/**'],
+        format: 'markdown',
+        budget: 32000
+    }
+};
+
+const stringList = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : []);
+const optionalString = value => (typeof value === 'string' && value ? value : null);
+
+// Keeps the known fields of a profile with the right types. include and
+// exclude are gitignore-style globs; the rest is null when not set.
+function normalizeProfile(name, profile) {
+    return {
+        name,
+        include: stringList(profile.include),
+        exclude: stringList(profile.exclude),
+        format: optionalString(profile.format),
+        model: optionalString(profile.model),
+        budget: Number.isInteger(profile.budget) && profile.budget >= 0 ? profile.budget : null,
+        template: optionalString(profile.template)
+    };
+}
+
+// Formats a profile can name. The Custom Template lives in the editor's
+// settings, which the CLI cannot read, so profiles cannot pick it.
+const profileFormats = Object.keys(formatters);
+
+// Why a profile cannot be applied, or null when it can
+function profileError(profile) {
+    if (profile.format && !profileFormats.includes(profile.format)) {
+        return `Profile "${profile.name}" has an unknown format "${profile.format}", expected one of ${profileFormats.join(', ')}`;
+    }
+    return null;
+}
+
+// Reads the profiles of a folder as { profiles: { name: profile }, error }.
+// A missing file is no error; a broken one leaves no profiles and says why.
+function readProfiles(rootPath) {
+    let text;
+    try {
+        text = fs.readFileSync(path.join(rootPath, profilesPath), 'utf-8');
+    } catch {
+        return { profiles: {}, error: null };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { profiles: {}, error: `${profilesPath}: ${error.message}` };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { profiles: {}, error: `${profilesPath} should map profile names to profiles` };
+    }
+    const profiles = {};
+    Object.entries(parsed).forEach(([name, profile]) => {
+        if (profile && typeof profile === 'object' && !Array.isArray(profile)) {
+            profiles[name] = normalizeProfile(name, profile);
+        }
+    });
+    return { profiles, error: null };
+}
+
+module.exports = {
+    profilesPath,
+    exampleProfiles,
+    profileError,
+    readProfiles
+};
@@ -0,0 +1,177 @@
+const path = require('path');
+
+// Built-in secret patterns. When a pattern has a capture group only the group
+// is replaced, so "password = 'hunter22'" keeps its key and loses the value.
+const builtInRules = [
+    {
+        id: 'private-key',
+        description: 'PEM private key block',
+        pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+    },
+    {
+        id: 'aws-access-key',
+        description: 'AWS access key ID',
+        pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+    },
+    {
+        id: 'aws-secret-key',
+        description: 'AWS secret access key',
+        pattern: /aws_secret_access_key["']?\s*[=:]\s*["']?([A-Za-z0-9/+=]{40})/gi
+    },
+    {
+        id: 'github-token',
+        description: 'GitHub token',
+        pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g
+    },
+    {
+        id: 'slack-token',
+        description: 'Slack token',
+        pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g
+    },
+    {
+        id: 'api-key',
+        description: 'OpenAI, Anthropic or Stripe style secret key',
+        pattern: /\b(?:sk|rk)-(?:ant-|proj-|live_|test_)?[A-Za-z0-9_-]{20,}\b/g
+    },
+    {
+        id: 'google-api-key',
+        description: 'Google API key',
+        pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+    },
+    {
+        id: 'jwt',
+        description: 'JSON Web Token',
+        pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+    },
+    {
+        id: 'password-assignment',
+        description: 'Quoted value assigned to a password, secret, token or key',
+        pattern: /(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key)["']?\s*[=:]\s*["']([^"'\s]{8,})["']/gi
+    },
+    {
+        id: 'env-value',
+        description: 'Value in a .env file',
+        pattern: /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.]*[ \t]*=[ \t]*(\S.*?)[ \t]*$/gm,
+        appliesTo: filePath => isEnvFile(filePath)
+    },
+    {
+        id: 'high-entropy',
+        description: 'Random-looking quoted string',
+        pattern: /["'`]([A-Za-z0-9+/=_-]{20,})["'`]/g,
+        accept: text => /[0-9]/.test(text) && /[A-Za-z]/.test(text) && shannonEntropy(text) >= 4.2
+    }
+];
+
+// .env files hold real values; .env.example and friends document the keys
+function isEnvFile(filePath) {
+    const name = path.basename(filePath).toLowerCase();
+    if (/\.(example|sample|template|dist)$/.test(name)) {
+        return false;
+    }
+    return name === '.env' || name.startsWith('.env.') || name.endsWith('.env');
+}
+
+// Bits per character
+function shannonEntropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach(count => {
+        const p = count / text.length;
+        entropy -= p * Math.log2(p);
+    });
+    return entropy;
+}
+
+function withIndices(pattern) {
+    const flags = new Set(pattern.flags);
+    flags.add('g');
+    flags.add('d');
+    return new RegExp(pattern.source, [...flags].join(''));
+}
+
+// Finds secrets and replaces them with [REDACTED:<rule>] placeholders
+class Redactor {
+    // options.disabledRules: built-in rule ids to skip
+    // options.customRules: extra { id, pattern, flags } rules, pattern as a string
+    // options.allow: regex strings; a match that one of them matches is kept
+    // Invalid patterns are skipped and described in this.errors.
+    constructor(options = {}) {
+        this.errors = [];
+        const compile = (name, pattern, flags) => {
+            try {
+                return new RegExp(pattern, flags);
+            } catch (error) {
+                this.errors.push(`${name}: ${error.message}`);
+                return null;
+            }
+        };
+        const disabled = new Set(options.disabledRules || []);
+        const customRules = (options.customRules || [])
+            .map(rule => ({
+                id: rule.id || 'custom',
+                description: rule.description || 'Custom rule',
+                pattern: compile(`custom rule "${rule.id || 'custom'}"`, rule.pattern, rule.flags || 'g')
+            }))
+            .filter(rule => rule.pattern);
+        this.rules = [...builtInRules.filter(rule => !disabled.has(rule.id)), ...customRules]
+            .map(rule => ({ ...rule, pattern: withIndices(rule.pattern) }));
+        this.allow = (options.allow || [])
+            .map(pattern => compile(`allow pattern "${pattern}"`, pattern))
+            .filter(Boolean);
+    }
+
+    isAllowed(text) {
+        return this.allow.some(pattern => pattern.test(text));
+    }
+
+    // Returns the redacted content and { rule, line } for every replacement
+    redact(content, filePath = '') {
+        const matches = [];
+        this.rules.forEach(rule => {
+            if (rule.appliesTo && !rule.appliesTo(filePath)) {
+                return;
+            }
+            for (const match of content.matchAll(rule.pattern)) {
+                const [start, end] = match.indices[1] || match.indices[0];
+                const text = content.slice(start, end);
+                if (start === end || (rule.accept && !rule.accept(text)) || this.isAllowed(text)) {
+                    continue;
+                }
+                matches.push({ start, end, rule: rule.id });
+            }
+        });
+        if (matches.length === 0) {
+            return { content, findings: [] };
+        }
+
+        // Of two overlapping matches the first one wins, or the earlier rule on a tie
+        matches.sort((a, b) => a.start - b.start);
+        let redacted = '';
+        let position = 0;
+        let line = 1;
+        const findings = [];
+        matches.forEach(match => {
+            if (match.start < position) {
+                return;
+            }
+            const before = content.slice(position, match.start);
+            line += before.split('\n').length - 1;
+            redacted += before + `[REDACTED:${match.rule}]`;
+            findings.push({ rule: match.rule, line });
+            line += content.slice(match.start, match.end).split('\n').length - 1;
+            position = match.end;
+        });
+        redacted += content.slice(position);
+
+        return { content: redacted, findings };
+    }
+}
+
+module.exports = {
+    Redactor,
+    builtInRules,
+    shannonEntropy
+};
@@ -0,0 +1,123 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { runGit } = require('./git');
+
+// Clones stay here until their tab is closed; the system may clear the
+// folder at any time, in which case the repository is cloned again
+const defaultCacheRoot = path.join(os.tmpdir(), 'vsingest', 'clones');
+
+// Fail instead of waiting for a password nobody can type
+const noPrompt = { GIT_TERMINAL_PROMPT: '0' };
+
+// Web URLs of a folder on a branch, like github.com/owner/repo/tree/main/src
+// or GitLab's /-/tree/. The branch is the single segment after tree.
+const treeUrlPattern = /^(https?:\/\/[^/]+\/.+?)\/(?:-\/)?tree\/([^/]+)(?:\/(.+?))?\/?$/;
+
+// A folder inside the repository as a/b, without leading or trailing slashes
+function normalizeSubdir(subdir) {
+    const parts = subdir.split(/[\\/]+/).filter(part => part && part !== '.');
+    if (parts.includes('..')) {
+        throw new Error(`The subfolder "${subdir}" is outside the repository`);
+    }
+    return parts.join('/');
+}
+
+// URLs with a scheme, and scp-like addresses such as git@github.com:owner/repo
+const remotePattern = /^(?:[a-z][a-z0-9+.-]*:\/\/|[^/\\@]+@[^/\\:]+:|[\w.-]+:(?!\/\/))/i;
+
+// Splits a URL as typed into { url, branch, subdir }. A web URL of a folder
+// brings its branch and folder; otherwise both are empty. Local paths become
+// file:// URLs, since git ignores --depth for plain paths. Relative paths
+// are rejected: git would resolve them against the clone cache.
+function parseGitSource(input) {
+    const text = input.trim();
+    const match = treeUrlPattern.exec(text);
+    if (match) {
+        return {
+            url: match[1],
+            branch: decodeURIComponent(match[2]),
+            subdir: normalizeSubdir(match[3] ? decodeURIComponent(match[3]) : '')
+        };
+    }
+    if (!path.isAbsolute(text) && !remotePattern.test(text)) {
+        throw new Error(`"${text}" is neither a URL nor an absolute path`);
+    }
+    return {
+        url: path.isAbsolute(text) ? pathToFileURL(text).href : text,
+        branch: '',
+        subdir: ''
+    };
+}
+
+// The repository's name from its URL, like vsingest for .../vsingest.git
+function repositoryName(url) {
+    const name = url.replace(/[\\/]+$/, '').split(/[\\/:]/).pop();
+    return name.replace(/\.git$/, '') || url;
+}
+
+// Every URL, branch and subfolder gets a folder of its own in the cache
+function clonePath(source, cacheRoot = defaultCacheRoot) {
+    const key = crypto.createHash('sha1')
+        .update([source.url, source.branch, source.subdir].join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+    return path.join(cacheRoot, `${repositoryName(source.url)}-${key}`);
+}
+
+async function isDirectory(fsPath) {
+    const stat = await fs.stat(fsPath).catch(() => null);
+    return !!stat && stat.isDirectory();
+}
+
+// Shallow-clones the source's branch, the default one when empty, into the
+// cache and resolves with the folder to ingest. Only the subfolder is checked
+// out when one is given. An existing clone is reused unless refresh is set,
+// and stays in place when cloning again fails.
+async function cloneRepository(source, { cacheRoot = defaultCacheRoot, refresh = false } = {}) {
+    const target = clonePath(source, cacheRoot);
+    const folder = source.subdir ? path.join(target, ...source.subdir.split('/')) : target;
+    if (!refresh && await isDirectory(path.join(target, '.git'))) {
+        return folder;
+    }
+
+    await fs.mkdir(cacheRoot, { recursive: true });
+    const temp = await fs.mkdtemp(`${target}-`);
+    try {
+        const args = ['clone', '--quiet', '--depth', '1', '--no-tags'];
+        if (source.branch) {
+            args.push('--branch', source.branch);
+        }
+        if (source.subdir) {
+            // Servers that cannot filter send everything, which still works
+            args.push('--filter=blob:none', '--sparse');
+        }
+        await runGit(cacheRoot, [...args, '--', source.url, temp], 'utf-8', noPrompt);
+        if (source.subdir) {
+            await runGit(temp, ['sparse-checkout', 'set', '--', source.subdir], 'utf-8', noPrompt);
+            if (!await isDirectory(path.join(temp, ...source.subdir.split('/')))) {
+                throw new Error(`There is no folder ${source.subdir} in ${source.url}`);
+            }
+        }
+        await fs.rm(target, { recursive: true, force: true });
+        await fs.rename(temp, target);
+    } catch (error) {
+        await fs.rm(temp, { recursive: true, force: true });
+        throw error;
+    }
+    return folder;
+}
+
+async function removeClone(source, cacheRoot = defaultCacheRoot) {
+    await fs.rm(clonePath(source, cacheRoot), { recursive: true, force: true });
+}
+
+module.exports = {
+    normalizeSubdir,
+    parseGitSource,
+    repositoryName,
+    cloneRepository,
+    removeClone
+};
@@ -0,0 +1,91 @@
+const { fillTemplate } = require('./formatters');
+
+// Variables a template can use. Empty ones leave no trace, because blank
+// lines around them are collapsed.
+const templateVariables = ['tree', 'files', 'selection', 'diagnostics', 'userQuestion'];
+
+const defaultTemplates = {
+    codeReview: {
+        label: 'Code Review',
+        template: 'Review the following code for correctness, readability, security and performance. '
+            + 'List concrete problems with the file and line they are in, ordered by severity, and suggest a fix for each.\n\n'
+            + '{{userQuestion}}\n\n{{selection}}\n\n{{diagnostics}}\n\nDirectory structure:\n{{tree}}\n\n{{files}}'
+    },
+    writeTests: {
+        label: 'Write Tests',
+        template: 'Write unit tests for the following code. Use the test framework and conventions the project already uses, '
+            + 'cover edge cases and error paths, and explain briefly what each test checks.\n\n'
+            + '{{userQuestion}}\n\n{{selection}}\n\nDirectory structure:\n{{tree}}\n\n{{files}}'
+    },
+    explainArchitecture: {
+        label: 'Explain Architecture',
+        template: 'Explain the architecture of this project: its main components, how they depend on each other, '
+            + 'how data flows between them and where a newcomer should start reading.\n\n'
+            + '{{userQuestion}}\n\nDirectory structure:\n{{tree}}\n\n{{files}}'
+    },
+    findBugs: {
+        label: 'Find Bugs',
+        template: 'Find bugs in the following code: logic errors, unhandled edge cases, race conditions and resource leaks. '
+            + 'For each one give the file and line, why it is wrong and a fix.\n\n'
+            + '{{userQuestion}}\n\n{{selection}}\n\n{{diagnostics}}\n\nDirectory structure:\n{{tree}}\n\n{{files}}'
+    },
+    generateDocs: {
+        label: 'Generate Docs',
+        template: 'Write documentation for the following code: a short overview, then each public module, class and function '
+            + 'with its parameters, return values and an example. Match the documentation style the project already uses.\n\n'
+            + '{{userQuestion}}\n\n{{selection}}\n\nDirectory structure:\n{{tree}}\n\n{{files}}'
+    }
+};
+
+// Built-in templates merged with the vsingest.templates setting, where an
+// entry is { label, template } or just the template text
+function getTemplates(customTemplates = {}) {
+    const templates = {};
+    Object.entries(defaultTemplates).forEach(([id, template]) => {
+        templates[id] = { id, ...template };
+    });
+    Object.entries(customTemplates || {}).forEach(([id, custom]) => {
+        const template = { id, label: id, ...templates[id], ...(typeof custom === 'string' ? { template: custom } : custom) };
+        if (typeof template.template === 'string') {
+            templates[id] = template;
+        }
+    });
+    return templates;
+}
+
+function usesVariable(template, name) {
+    return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(template.template);
+}
+
+// Stands in for an empty variable while the blank lines around it are collapsed
+const emptyMark = '\u0000';
+
+// Fills in the variables. Empty ones are taken out of the template first,
+// with the blank lines around them, so the filled in values, above all the
+// file contents, stay exactly as they are.
+function renderTemplate(template, values) {
+    const known = {};
+    templateVariables.forEach(name => {
+        const value = values[name] || '';
+        // Only the files keep their whitespace; the rest is generated text
+        known[name] = name === 'files' ? value : value.trim();
+    });
+    const text = template.template.trim()
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (known[name] === '' ? emptyMark : match))
+        .replace(new RegExp(`\\s*(?:${emptyMark}\\s*)+`, 'g'), (run, offset, whole) => {
+            if (offset === 0 || offset + run.length === whole.length) {
+                return '';
+            }
+            return '\n'.repeat(Math.min((run.match(/\n/g) || []).length, 2)) || ' ';
+        });
+    const prompt = fillTemplate(text, known);
+    return prompt.endsWith('\n') ? prompt : prompt + '\n';
+}
+
+module.exports = {
+    templateVariables,
+    defaultTemplates,
+    getTemplates,
+    usesVariable,
+    renderTemplate
+};
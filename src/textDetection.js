@@ -0,0 +1,132 @@
+const path = require('path');
+const ignore = require('ignore');
+
+// Only this much of a file is searched for NUL bytes
+const sniffLength = 8000;
+
+// Extensions that are binary often enough to skip without reading them
+const binaryExtensions = new Set([
+    '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.icns', '.webp', '.avif', '.tif', '.tiff', '.psd',
+    '.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.mp4', '.mov', '.avi', '.mkv', '.webm',
+    '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.tar', '.jar', '.war', '.vsix', '.nupkg',
+    '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.odt',
+    '.exe', '.dll', '.so', '.dylib', '.a', '.lib', '.o', '.obj', '.class', '.pyc', '.pyo', '.wasm', '.node',
+    '.woff', '.woff2', '.ttf', '.otf', '.eot',
+    '.sqlite', '.sqlite3', '.db', '.bin', '.dat', '.pak'
+]);
+
+// Extensionless files that are text even though nothing in the name says so
+const textFileNames = new Set([
+    'dockerfile', 'containerfile', 'makefile', 'gnumakefile', 'rakefile', 'gemfile', 'podfile',
+    'procfile', 'vagrantfile', 'brewfile', 'justfile', 'jenkinsfile', 'cmakelists.txt',
+    'license', 'licence', 'copying', 'notice', 'authors', 'contributors', 'changelog', 'readme',
+    '.gitignore', '.gitattributes', '.gitmodules', '.dockerignore', '.npmignore', '.npmrc',
+    '.editorconfig', '.prettierrc', '.eslintrc', '.babelrc', '.nvmrc', '.env', '.vsingestignore', '.ignore'
+]);
+
+// Signatures of binary formats whose first bytes can pass for text
+const magicNumbers = [
+    [0x89, 0x50, 0x4e, 0x47], // PNG
+    [0xff, 0xd8, 0xff], // JPEG
+    [0x47, 0x49, 0x46, 0x38], // GIF
+    [0x25, 0x50, 0x44, 0x46, 0x2d], // PDF
+    [0x50, 0x4b, 0x03, 0x04], // ZIP and everything built on it
+    [0x1f, 0x8b], // gzip
+    [0x42, 0x5a, 0x68], // bzip2
+    [0xfd, 0x37, 0x7a, 0x58, 0x5a], // xz
+    [0x37, 0x7a, 0xbc, 0xaf], // 7z
+    [0x52, 0x61, 0x72, 0x21], // RAR
+    [0x7f, 0x45, 0x4c, 0x46], // ELF
+    [0xcf, 0xfa, 0xed, 0xfe], // Mach-O
+    [0xca, 0xfe, 0xba, 0xbe], // Mach-O universal, Java class
+    [0x00, 0x61, 0x73, 0x6d] // WebAssembly
+];
+
+// UTF-16 text is full of NUL bytes, so only its byte order mark tells it apart
+const byteOrderMarks = [
+    [[0xff, 0xfe], 'utf-16le'],
+    [[0xfe, 0xff], 'utf-16be']
+];
+
+function startsWith(buffer, bytes) {
+    return bytes.every((byte, index) => buffer[index] === byte);
+}
+
+function hasMagicNumber(buffer) {
+    return magicNumbers.some(magic => startsWith(buffer, magic));
+}
+
+// The encoding a byte order mark names, else UTF-8. The decoders drop the mark.
+function encodingOf(buffer) {
+    const mark = byteOrderMarks.find(([bytes]) => startsWith(buffer, bytes));
+    return mark ? mark[1] : 'utf-8';
+}
+
+// NUL bytes in UTF-8, a known binary signature or bytes that are not valid
+// in the file's encoding
+function isBinary(buffer) {
+    const encoding = encodingOf(buffer);
+    if ((encoding === 'utf-8' && buffer.subarray(0, sniffLength).includes(0)) || hasMagicNumber(buffer)) {
+        return true;
+    }
+    try {
+        new TextDecoder(encoding, { fatal: true }).decode(buffer);
+        return false;
+    } catch {
+        return true;
+    }
+}
+
+// Invalid bytes in a file that is read as text anyway become U+FFFD
+function decodeText(buffer) {
+    return new TextDecoder(encodingOf(buffer)).decode(buffer);
+}
+
+// "**/*.min.js" is a glob, ".rs" an extension
+function isExtension(entry) {
+    return /^\.[^/*?[\]{}]+$/.test(entry);
+}
+
+// Decides from the path alone whether a file is read as text. Returns
+// 'excluded' or 'binary' for files to skip, 'text' for files that are read
+// without checking their content, and null when the content decides.
+class FileClassifier {
+    // options.text: extensions or globs that are always read as text
+    // options.skip: extensions or globs that are never read
+    // options.maxFileSizeKB: larger files are skipped, 0 for no limit
+    constructor(options = {}) {
+        const split = entries => ({
+            extensions: new Set(entries.filter(isExtension).map(entry => entry.toLowerCase())),
+            globs: ignore().add(entries.filter(entry => !isExtension(entry)))
+        });
+        this.text = split(options.text || []);
+        this.skip = split(options.skip || []);
+        this.maxFileSize = (options.maxFileSizeKB || 0) * 1024;
+    }
+
+    // relativePath uses the platform separator, as in the tree
+    classify(relativePath) {
+        const posixPath = relativePath.split(path.sep).join('/');
+        const ext = path.extname(posixPath).toLowerCase();
+        const matches = ({ extensions, globs }) => extensions.has(ext) || globs.ignores(posixPath);
+
+        if (matches(this.skip)) {
+            return 'excluded';
+        }
+        if (matches(this.text) || textFileNames.has(path.basename(posixPath).toLowerCase())) {
+            return 'text';
+        }
+        if (binaryExtensions.has(ext)) {
+            return 'binary';
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    FileClassifier,
+    isBinary,
+    decodeText,
+    binaryExtensions,
+    textFileNames
+};
@@ -0,0 +1,96 @@
+const { get_encoding } = require('tiktoken');
+
+// Encoding used for each model family. OpenAI models map to their real BPE
+// vocabularies. Anthropic and Google do not publish their tokenizers, so those
+// entries are approximations: a known vocabulary scaled by a factor measured
+// against the providers' own token counters on typical source code.
+// Checked in order against the model id when it is not a custom model.
+const familyEncodings = [
+    // GPT-4 and GPT-3.5 use cl100k; GPT-4o, 4.1 and 4.5 moved to o200k
+    [/^gpt-(4(?!o|\.\d)|3\.5)/, { encoding: 'cl100k_base', scale: 1, exact: true }],
+    [/^(gpt-|openai-|o\d)/, { encoding: 'o200k_base', scale: 1, exact: true }],
+    // Claude's vocabulary is smaller than cl100k and splits code into roughly
+    // 10-20% more tokens.
+    [/^claude-/, { encoding: 'cl100k_base', scale: 1.15, exact: false }],
+    // Gemini's SentencePiece vocabulary lands close to o200k on code.
+    [/^gemini-/, { encoding: 'o200k_base', scale: 1.05, exact: false }]
+];
+
+const defaultEncoding = { encoding: 'o200k_base', scale: 1, exact: true };
+
+// Encodings of custom models from the vsingest.models setting
+const customEncodings = new Map();
+
+// Encoders hold WASM memory, so they are created once and reused
+const encoders = new Map();
+
+function getEncodingInfo(modelName) {
+    if (!modelName) {
+        return defaultEncoding;
+    }
+    if (customEncodings.has(modelName)) {
+        return customEncodings.get(modelName);
+    }
+    const family = familyEncodings.find(([pattern]) => pattern.test(modelName));
+    // Other models' vocabularies are unknown, o200k is a fair guess
+    return family ? family[1] : { ...defaultEncoding, exact: false };
+}
+
+// Takes { id: { encoding, tokenScale, exact } } entries; models without an
+// encoding keep the family guess. Counts are approximate unless the entry
+// says the encoding is the model's own.
+function setCustomEncodings(models) {
+    customEncodings.clear();
+    Object.entries(models || {}).forEach(([id, model]) => {
+        if (model && ['o200k_base', 'cl100k_base'].includes(model.encoding)) {
+            const scale = model.tokenScale > 0 ? model.tokenScale : 1;
+            customEncodings.set(id, { encoding: model.encoding, scale, exact: model.exact === true });
+        }
+    });
+}
+
+function getEncoder(encodingName) {
+    if (!encoders.has(encodingName)) {
+        encoders.set(encodingName, get_encoding(encodingName));
+    }
+    return encoders.get(encodingName);
+}
+
+function countTokens(text, modelName = null) {
+    if (!text) {
+        return 0;
+    }
+
+    const { encoding, scale } = getEncodingInfo(modelName);
+    // encode_ordinary treats strings like <|endoftext|> as plain text instead of throwing
+    const count = getEncoder(encoding).encode_ordinary(text).length;
+    return Math.ceil(count * scale);
+}
+
+// Cuts text down to at most maxTokens, ending on a whole line where possible
+function truncateToTokens(text, maxTokens, modelName = null) {
+    const { encoding, scale } = getEncodingInfo(modelName);
+    const encoder = getEncoder(encoding);
+    const tokens = encoder.encode_ordinary(text);
+    const limit = Math.floor(maxTokens / scale);
+    if (tokens.length <= limit) {
+        return text;
+    }
+
+    const decoded = new TextDecoder().decode(encoder.decode(tokens.slice(0, limit)));
+    const lastNewline = decoded.lastIndexOf('\n');
+    return lastNewline > 0 ? decoded.slice(0, lastNewline) : decoded;
+}
+
+function freeEncoders() {
+    encoders.forEach(encoder => encoder.free());
+    encoders.clear();
+}
+
+module.exports = {
+    getEncodingInfo,
+    setCustomEncodings,
+    countTokens,
+    truncateToTokens,
+    freeEncoders
+};
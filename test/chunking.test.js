@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { splitIntoParts } = require('../src/chunking');
+const { getFormatter } = require('../src/formatters');
+const { countTokens } = require('../src/tokenizer');
+
+// Plain lines, then lines whose quotes, backslashes and tabs JSON escapes,
+// so the second half grows much more than the average when formatted
+const unevenLines = [
+    ...Array.from({ length: 300 }, (_, i) => `function step${i}() { return ${i}; }`),
+    ...Array.from({ length: 300 }, (_, i) => `\t\t"C:\\\\Users\\\\${i}": "\\t\\"\\n",`)
+].join('\n');
+
+suite('Parts', () => {
+    test('keeps every JSON part within the limit and valid on its own', () => {
+        const files = [
+            { path: 'small.js', content: 'module.exports = 1;\n', tokens: countTokens('module.exports = 1;\n') },
+            { path: 'large.js', content: unevenLines, tokens: countTokens(unevenLines) }
+        ];
+        for (const maxTokens of [500, 1000, 4000]) {
+            const parts = splitIntoParts(getFormatter('json'), { structure: 'small.js\nlarge.js\n', files, includeTree: true }, { maxTokens });
+            assert.ok(parts.length > 1);
+            parts.forEach(part => {
+                assert.ok(part.tokens <= maxTokens, `a part has ${part.tokens} tokens at ${maxTokens}`);
+                assert.doesNotThrow(() => JSON.parse(part.text.replace(/^Part .*\n\n/, '')));
+            });
+        }
+    });
+
+    test('rejects a tree or template text larger than a part', () => {
+        const structure = Array.from({ length: 1500 }, (_, i) => `src/module${i}/index.js`).join('\n');
+        const files = [{ path: 'a.js', content: 'a\n', tokens: 1 }];
+        assert.throws(() => splitIntoParts(getFormatter('plain'), { structure, files, includeTree: true }, { maxTokens: 1000 }), /first part needs \d+ tokens/);
+        assert.throws(() => splitIntoParts(getFormatter('plain'), { structure: 'a.js\n', files, after: structure }, { maxTokens: 1000 }), /last part needs \d+ tokens/);
+        const parts = splitIntoParts(getFormatter('plain'), { structure, files, includeTree: false }, { maxTokens: 1000 });
+        assert.ok(parts.every(part => part.tokens <= 1000));
+    });
+});
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { compress } = require('../src/compression');
+
+suite('Compression', () => {
+    test('strips line and block comments but not comment markers in strings', () => {
+        const text = "const url = 'http://example.com'; // the site\n/* gone */\nconst x = 1;\n";
+        assert.strictEqual(compress(text, 'a.js', 'strip'), "const url = 'http://example.com';\nconst x = 1;");
+    });
+
+    test('keeps // in CSS values and strips only block comments', () => {
+        const text = '/* logo */\n.logo {\n    background: url(https://example.com/a.png); /* remote */\n}\n';
+        assert.strictEqual(compress(text, 'a.css', 'strip'), '.logo {\n    background: url(https://example.com/a.png);\n}');
+        assert.strictEqual(compress('$gap: 4px; // spacing\n', 'a.scss', 'strip'), '$gap: 4px;');
+    });
+
+    test('strips shell comments only where a word starts', () => {
+        const text = '# count\nn=$# # arguments\nlen=${#arr[@]};# items\necho a#b\n';
+        assert.strictEqual(compress(text, 'run.sh', 'strip'), 'n=$#\nlen=${#arr[@]};\necho a#b');
+    });
+
+    test('keeps every value of JSON and CSS in the skeleton', () => {
+        const json = '{\n    "a": "x (y)", // note\n    "b": { "c": 1 }\n}\n';
+        assert.strictEqual(compress(json, 'data.jsonc', 'skeleton'), '{\n    "a": "x (y)",\n    "b": { "c": 1 }\n}');
+        const css = 'a:hover { color: red; }\n';
+        assert.strictEqual(compress(css, 'a.css', 'skeleton'), 'a:hover { color: red; }');
+    });
+
+    test('keeps // inside regex literals', () => {
+        const text = 'const re = /^https?:\\/\\/x/; // scheme\nconst any = /[/]+/g;\nif (/\\/\\//.test(s)) {}\n';
+        assert.strictEqual(compress(text, 'a.js', 'strip'),
+            'const re = /^https?:\\/\\/x/;\nconst any = /[/]+/g;\nif (/\\/\\//.test(s)) {}');
+    });
+
+    test('still treats a slash after an operand as division', () => {
+        const text = 'const half = total / 2; // rounded down\nconst ratio = (a) / (b) / c;\n';
+        assert.strictEqual(compress(text, 'a.ts', 'strip'), 'const half = total / 2;\nconst ratio = (a) / (b) / c;');
+    });
+
+    test('lexes Rust lifetimes apart from char literals', () => {
+        const text = "fn f<'a>(x: Foo<'a>, y: &'a str) -> char {\n    let c = 'x';\n    '{'\n}\nfn g() {\n    1\n}\n";
+        assert.strictEqual(compress(text, 'lib.rs', 'skeleton'), "fn f<'a>(x: Foo<'a>, y: &'a str) -> char { ... }\nfn g() { ... }");
+    });
+});
@@ -0,0 +1,91 @@
+const assert = require('assert');
+const path = require('path');
+const { traceDependencies, renderGraph } = require('../src/dependencies');
+
+// Traces imports through an in-memory project; paths are relative to its root
+async function trace(projectFiles, entries, maxDepth = 0) {
+    const root = path.resolve('/project');
+    const toFsPath = relativePath => path.join(root, ...relativePath.split('/'));
+    const texts = new Map(Object.entries(projectFiles).map(([relativePath, text]) => [toFsPath(relativePath), text]));
+    const result = await traceDependencies({
+        entries: entries.map(toFsPath),
+        maxDepth,
+        files: [...texts.keys()],
+        roots: [root],
+        readText: async fsPath => (texts.has(fsPath) ? texts.get(fsPath) : null)
+    });
+    const toRelative = fsPath => path.relative(root, fsPath).split(path.sep).join('/');
+    return {
+        depths: Object.fromEntries([...result.depths].map(([file, depth]) => [toRelative(file), depth])),
+        graph: renderGraph(result.edges, toRelative),
+        unresolved: result.unresolved
+    };
+}
+
+suite('Dependencies', () => {
+    test('follows relative JS imports and folder indexes', async () => {
+        const result = await trace({
+            'src/main.ts': "import { a } from './a';\nconst b = require('./lib');\nimport('./missing');\nimport x from 'react';\n",
+            'src/a.ts': "export * from './util.js';\n",
+            'src/util.ts': 'export const u = 1;\n',
+            'src/lib/index.js': "module.exports = require('../a');\n",
+            'src/unused.ts': ''
+        }, ['src/main.ts']);
+        assert.deepStrictEqual(result.depths, { 'src/main.ts': 0, 'src/a.ts': 1, 'src/lib/index.js': 1, 'src/util.ts': 2 });
+        assert.strictEqual(result.unresolved, 1);
+    });
+
+    test('resolves tsconfig paths aliases', async () => {
+        const result = await trace({
+            'tsconfig.json': '{\n    // aliases\n    "compilerOptions": { "baseUrl": ".", "paths": { "@app/*": ["src/*"] }, },\n}\n',
+            'src/main.ts': "import { x } from '@app/x';\n",
+            'src/x.ts': ''
+        }, ['src/main.ts']);
+        assert.deepStrictEqual(result.depths, { 'src/main.ts': 0, 'src/x.ts': 1 });
+    });
+
+    test('resolves Python modules, packages and relative imports', async () => {
+        const result = await trace({
+            'app/main.py': 'import app.models\nfrom .services import billing\nfrom . import helpers\nimport os\n',
+            'app/__init__.py': '',
+            'app/models/__init__.py': 'from .user import User\n',
+            'app/models/user.py': '',
+            'app/services/__init__.py': '',
+            'app/services/billing.py': 'from ..helpers import fmt\n',
+            'app/helpers.py': ''
+        }, ['app/main.py']);
+        assert.deepStrictEqual(result.depths, {
+            'app/main.py': 0,
+            'app/models/__init__.py': 1,
+            'app/services/__init__.py': 1,
+            'app/services/billing.py': 1,
+            'app/helpers.py': 1,
+            'app/models/user.py': 2
+        });
+    });
+
+    test('maps Go imports in the module to package folders', async () => {
+        const result = await trace({
+            'go.mod': 'module example.com/shop\n\ngo 1.22\n',
+            'cmd/server/main.go': 'package main\n\nimport (\n\t"fmt"\n\t"example.com/shop/internal/store"\n)\n',
+            'internal/store/store.go': 'package store\n',
+            'internal/store/cache.go': 'package store\n',
+            'internal/store/store_test.go': 'package store\n'
+        }, ['cmd/server/main.go']);
+        assert.deepStrictEqual(result.depths, { 'cmd/server/main.go': 0, 'internal/store/store.go': 1, 'internal/store/cache.go': 1 });
+    });
+
+    test('stops at cycles and at the depth limit', async () => {
+        const files = {
+            'a.js': "require('./b');\n",
+            'b.js': "require('./c');\n",
+            'c.js': "require('./a');\n"
+        };
+        const result = await trace(files, ['a.js']);
+        assert.deepStrictEqual(result.depths, { 'a.js': 0, 'b.js': 1, 'c.js': 2 });
+        assert.strictEqual(result.graph, 'a.js\n  -> b.js\nb.js\n  -> c.js\nc.js\n  -> a.js');
+
+        const limited = await trace(files, ['a.js'], 1);
+        assert.deepStrictEqual(limited.depths, { 'a.js': 0, 'b.js': 1 });
+    });
+});
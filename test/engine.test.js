@@ -0,0 +1,141 @@
+const assert = require('assert');
+const path = require('path');
+const { IngestEngine, ingest } = require('../src/engine');
+const { countTokens, setCustomEncodings, freeEncoders } = require('../src/tokenizer');
+const { FileCache } = require('../src/fileCache');
+const { writeFixture } = require('./helpers');
+
+// A small project on disk, with enough text in one file to exceed a budget
+const projectFiles = {
+    'README.md': '# Sample\n\nA project to ingest.\n',
+    'src/index.js': "const { add } = require('./math');\n\nconsole.log(add(1, 2));\n",
+    'src/math.js': 'function add(a, b) {\n    return a + b;\n}\n\nmodule.exports = { add };\n',
+    'docs/guide.md': Array.from({ length: 400 }, (_, i) => `Step ${i}: read the guide carefully.`).join('\n'),
+    'dist/bundle.js': 'ignored();\n',
+    '.gitignore': 'dist/\n'
+};
+
+suite('Ingest engine', () => {
+    let folder;
+    let cleanup;
+
+    suiteSetup(async () => {
+        ({ folder, cleanup } = await writeFixture(projectFiles));
+    });
+
+    suiteTeardown(async () => {
+        await cleanup();
+        freeEncoders();
+    });
+
+    const paths = data => data.contents.map(file => file.path.split(path.sep).join('/')).sort();
+
+    test('ingests the folder, leaving out ignored files', async () => {
+        const data = await ingest([folder]);
+        assert.deepStrictEqual(paths(data), ['.gitignore', 'README.md', 'docs/guide.md', 'src/index.js', 'src/math.js']);
+        assert.strictEqual(data.summary.fileCount, 5);
+        assert.match(data.structure, /math\.js/);
+        assert.doesNotMatch(data.structure, /bundle\.js/);
+        assert.ok(data.prompt.includes('    return a + b;'));
+    });
+
+    test('applies include and exclude globs', async () => {
+        const data = await ingest([folder], { includeGlobs: ['src/'], exclude: ['math.js'] });
+        assert.deepStrictEqual(paths(data), ['src/index.js']);
+    });
+
+    test('renders every output format', async () => {
+        const markdown = await ingest([folder], { format: 'markdown', include: ['src'] });
+        assert.match(markdown.prompt, /```(js|javascript)\n/);
+
+        const xml = await ingest([folder], { format: 'xml', include: ['src'] });
+        assert.match(xml.prompt, /<source>src\/math\.js<\/source>/);
+
+        const json = await ingest([folder], { format: 'json', include: ['src'] });
+        const parsed = JSON.parse(json.prompt);
+        const files = parsed.files.map(file => file.path).sort();
+        assert.deepStrictEqual(files, ['src/index.js', 'src/math.js']);
+    });
+
+    test('counts the tree and format framing into the estimated tokens', async () => {
+        for (const format of ['plain', 'markdown', 'xml', 'json']) {
+            const data = await ingest([folder], { format });
+            const fileTokens = data.contents.reduce((total, file) => total + file.tokens, 0);
+            const promptTokens = countTokens(data.prompt);
+            assert.ok(data.summary.estimatedTokens > fileTokens, `${format} estimate leaves out the framing`);
+            assert.ok(Math.abs(data.summary.estimatedTokens - promptTokens) <= data.contents.length, `${format} estimate is ${data.summary.estimatedTokens}, the prompt ${promptTokens}`);
+        }
+    });
+
+    test('counts again when a custom model changes its encoding', async () => {
+        const cache = new FileCache();
+        const scan = async () => {
+            const engine = new IngestEngine({ folders: [{ name: 'project', path: folder }], model: 'local-model', cache });
+            const data = await engine.generateStructure();
+            return data.contents.reduce((total, file) => total + file.tokens, 0);
+        };
+        try {
+            setCustomEncodings({ 'local-model': { encoding: 'o200k_base' } });
+            const plain = await scan();
+            setCustomEncodings({ 'local-model': { encoding: 'o200k_base', tokenScale: 2 } });
+            const scaled = await scan();
+            assert.strictEqual(scaled, plain * 2);
+        } finally {
+            setCustomEncodings({});
+        }
+    });
+
+    test('keeps the prompt within the token budget', async () => {
+        for (const format of ['plain', 'markdown', 'xml', 'json']) {
+            const data = await ingest([folder], { format, budget: { maxTokens: 800 } });
+            assert.ok(countTokens(data.prompt) <= 800, `${format} prompt is over the budget`);
+        }
+        const data = await ingest([folder], { budget: { maxTokens: 800 } });
+        assert.deepStrictEqual(data.summary.budget.truncated.map(file => file.path), [path.join('docs', 'guide.md')]);
+        assert.match(data.prompt, /Step 0: read the guide/);
+        assert.doesNotMatch(data.prompt, /Step 399/);
+    });
+
+    test('omits files instead of truncating them when truncation is off', async () => {
+        const data = await ingest([folder], { budget: { maxTokens: 800, truncate: false } });
+        assert.ok(!paths(data).includes('docs/guide.md'));
+        assert.strictEqual(data.summary.budget.omitted.length, 1);
+    });
+
+    test('returns read errors on the file instead of logging them', async () => {
+        const missing = path.join(folder, 'src', 'missing.js');
+        const engine = new IngestEngine({
+            folders: [{ name: 'project', path: folder }],
+            listFiles: async () => [path.join(folder, 'README.md'), missing]
+        });
+        const logged = [];
+        const originalError = console.error;
+        console.error = (...args) => logged.push(args);
+        try {
+            const data = await engine.generateStructure();
+            const file = data.contents.find(content => content.fsPath === missing);
+            assert.match(file.error, /ENOENT/);
+            assert.match(file.content, /^Error reading file: /);
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepStrictEqual(logged, []);
+    });
+
+    test('narrows the selection with a path or content filter', async () => {
+        const engine = new IngestEngine({ folders: [{ name: 'project', path: folder }] });
+        await engine.generateStructure();
+
+        const byPath = engine.setFilter({ mode: 'path', pattern: 'math', only: true });
+        assert.deepStrictEqual(paths(byPath), ['src/math.js']);
+
+        const byContent = engine.setFilter({ mode: 'content', pattern: 'require\\(', only: true });
+        assert.deepStrictEqual(paths(byContent), ['src/index.js']);
+
+        const reported = engine.setFilter({ mode: 'path', pattern: '*.md' });
+        assert.strictEqual(reported.contents.length, 5);
+        assert.deepStrictEqual([...reported.filter.paths].sort(), ['README.md', path.join('docs', 'guide.md')]);
+
+        assert.throws(() => engine.setFilter({ mode: 'content', pattern: '(' }), SyntaxError);
+    });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const { writeFixture, requireWithVscode } = require('./helpers');
+
+// The parts of the vscode API the exporter uses, with the workspace at root
+function fakeVscode(root) {
+    const fake = {
+        errors: [],
+        watcher: null,
+        workspace: {
+            workspaceFolders: [{ uri: { fsPath: root } }],
+            getConfiguration: () => ({ get: (key, defaultValue) => defaultValue }),
+            createFileSystemWatcher: () => {
+                const listeners = {};
+                fake.watcher = {
+                    disposed: false,
+                    fire: (kind, fsPath) => listeners[kind]({ fsPath }),
+                    onDidChange: listener => { listeners.changed = listener; },
+                    onDidCreate: listener => { listeners.created = listener; },
+                    onDidDelete: listener => { listeners.deleted = listener; },
+                    dispose: () => { fake.watcher.disposed = true; }
+                };
+                return fake.watcher;
+            }
+        },
+        window: {
+            showErrorMessage: message => { fake.errors.push(message); }
+        }
+    };
+    return fake;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+suite('Export', () => {
+    let folder;
+    let cleanup;
+    let vscode;
+    let exporter;
+    let target;
+    // Scans wait for the gate, so a test can hold an export in progress
+    let gate;
+    let scans;
+    let failScan;
+    let applied;
+    let incremental;
+
+    setup(async () => {
+        ({ folder, cleanup } = await writeFixture({}, 'vsingest-export-'));
+        vscode = fakeVscode(folder);
+        const { PromptExporter } = requireWithVscode('../src/exporter', vscode);
+        target = path.join(folder, '.vsingest', 'prompt.md');
+        gate = Promise.resolve();
+        scans = 0;
+        failScan = false;
+        applied = [];
+        incremental = true;
+        // Stands in for IngestEngine
+        const createProvider = () => ({
+            excluded: new Set(),
+            generateStructure: async () => {
+                await gate;
+                if (failScan) {
+                    throw new Error('Scan failed');
+                }
+                scans++;
+                return { text: `scan ${scans}` };
+            },
+            applyChanges: async changes => {
+                applied.push(changes);
+                return incremental;
+            },
+            applySelection: () => ({ text: `update ${applied.length}` })
+        });
+        exporter = new PromptExporter(createProvider, data => data.text);
+    });
+
+    teardown(async () => {
+        exporter.dispose();
+        await cleanup();
+    });
+
+    // Waits for the exports queued so far
+    const settled = () => exporter.enqueue(() => {});
+    const exported = () => fs.readFile(target, 'utf-8');
+
+    test('writes the prompt to the configured path', async () => {
+        const { targetPath, data } = await exporter.export();
+        assert.strictEqual(targetPath, target);
+        assert.deepStrictEqual(data, { text: 'scan 1' });
+        assert.strictEqual(await exported(), 'scan 1');
+    });
+
+    test('shares one queued export between requests made while a write is pending', async () => {
+        let release;
+        gate = new Promise(resolve => { release = resolve; });
+        const running = exporter.export();
+        await wait(0);
+        // The running export may have read files that change afterwards, so
+        // the requests made meanwhile wait for one more, and only one
+        const queued = exporter.export();
+        assert.notStrictEqual(queued, running);
+        assert.strictEqual(exporter.export(), queued);
+        release();
+        const results = await Promise.all([running, queued]);
+        assert.deepStrictEqual(results.map(result => result.data.text), ['scan 1', 'scan 2']);
+        assert.strictEqual(scans, 2);
+        assert.strictEqual(await exported(), 'scan 2');
+
+        await exporter.export();
+        assert.strictEqual(scans, 3);
+    });
+
+    test('keeps exporting after a failed export', async () => {
+        failScan = true;
+        await assert.rejects(exporter.export(), /Scan failed/);
+        failScan = false;
+        assert.strictEqual((await exporter.export()).data.text, 'scan 1');
+    });
+
+    test('exports when watching starts and batches file events into one update', async () => {
+        exporter.setWatching(true);
+        await settled();
+        assert.strictEqual(await exported(), 'scan 1');
+
+        const a = path.join(folder, 'a.js');
+        vscode.watcher.fire('changed', a);
+        vscode.watcher.fire('created', path.join(folder, 'b.js'));
+        vscode.watcher.fire('changed', a);
+        vscode.watcher.fire('deleted', path.join(folder, 'c.js'));
+        // Writing the export and git's own files raise events that are ignored
+        vscode.watcher.fire('changed', target);
+        vscode.watcher.fire('changed', path.join(folder, '.git', 'index'));
+        await wait(300);
+        assert.strictEqual(applied.length, 0);
+
+        await wait(400);
+        await settled();
+        assert.deepStrictEqual(applied, [{ changed: [a, a], created: [path.join(folder, 'b.js')], deleted: [path.join(folder, 'c.js')] }]);
+        assert.strictEqual(scans, 1);
+        assert.strictEqual(await exported(), 'update 1');
+    });
+
+    test('rescans when the changes cannot be applied', async () => {
+        exporter.setWatching(true);
+        await settled();
+        incremental = false;
+        vscode.watcher.fire('changed', path.join(folder, 'a.js'));
+        await wait(600);
+        await settled();
+        assert.strictEqual(scans, 2);
+        assert.strictEqual(await exported(), 'scan 2');
+    });
+
+    test('reports failed updates instead of throwing them', async () => {
+        exporter.setWatching(true);
+        await settled();
+        failScan = true;
+        incremental = false;
+        vscode.watcher.fire('changed', path.join(folder, 'a.js'));
+        await wait(600);
+        await settled();
+        assert.deepStrictEqual(vscode.errors, ['VSingest: Export failed: Scan failed']);
+    });
+
+    test('stops watching and drops pending events', async () => {
+        exporter.setWatching(true);
+        await settled();
+        const { watcher } = vscode;
+        watcher.fire('changed', path.join(folder, 'a.js'));
+        exporter.setWatching(false);
+        assert.ok(watcher.disposed);
+        await wait(600);
+        await settled();
+        assert.deepStrictEqual(applied, []);
+        assert.strictEqual(scans, 1);
+    });
+});
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { formatters, languageForPath, markdownFence, fillTemplate, getFormatter, formatOutput } = require('../src/formatters');
+
+const files = [
+    {
+        path: 'src/app.ts',
+        content: '\nexport const app = 1;\n\n',
+        tokens: 7,
+        lines: { start: 10, end: 20 },
+        change: { status: 'modified', added: 2, removed: 1 },
+        diff: '@@ -1 +1 @@\n-a\n+b\n',
+        diagnostics: [{ line: 3, column: 5, severity: 'error', message: 'Missing semicolon', source: 'eslint' }]
+    },
+    { path: 'README', content: 'Read me\n', tokens: 3 }
+];
+
+suite('Formatters', () => {
+    test('fills a custom template for the header, each file and the footer', () => {
+        const formatter = getFormatter('custom', {
+            header: 'Tree:\n{{ tree }}---\n',
+            file: '[{{index}}] {{path}} {{language}} {{tokens}} {{lines}} {{status}}\n{{content}}\n{{diff}}\n{{diagnostics}}{{unknown}}',
+            separator: '\n~~\n',
+            footer: '\nEnd {{tree}}'
+        });
+        assert.strictEqual(formatter.label, 'Custom Template');
+        assert.strictEqual(formatOutput(formatter, { structure: 'src/\n', files }, true),
+            'Tree:\nsrc/\n---\n'
+            + '[1] src/app.ts typescript 7 10-20 modified\nexport const app = 1;\n@@ -1 +1 @@\n-a\n+b\n3:5 error: Missing semicolon (eslint){{unknown}}'
+            + '\n~~\n'
+            + '[2] README text 3  \nRead me\n\n{{unknown}}'
+            + '\nEnd src/\n');
+        // Without the tree and with parts of the template missing
+        assert.strictEqual(formatOutput(getFormatter('custom', { header: '{{tree}}', file: '{{path}}' }), { structure: 'src/\n', files }),
+            'src/app.ts\n\nREADME');
+    });
+
+    test('fills known placeholders and leaves the others', () => {
+        assert.strictEqual(fillTemplate('{{a}} {{ b }} {{c}} {{toString}}', { a: 0, b: '' }), '0  {{c}} {{toString}}');
+        assert.strictEqual(fillTemplate(undefined, { a: 1 }), '');
+    });
+
+    test('makes Markdown fences longer than any backtick run in the content', () => {
+        assert.strictEqual(markdownFence('no fences `here`'), '```');
+        assert.strictEqual(markdownFence('```js\ncode\n```'), '````');
+        assert.strictEqual(markdownFence('````\n``````\n```'), '```````');
+
+        const readme = { path: 'docs/README.md', content: 'Run:\n\n```sh\nnpm test\n```\n', tokens: 5 };
+        assert.strictEqual(formatters.markdown.file(readme, 0),
+            '## docs/README.md\n\n````markdown\nRun:\n\n```sh\nnpm test\n```\n````');
+        // The diff gets a fence of its own length
+        const withDiff = { path: 'a.js', content: 'a', tokens: 1, diff: '+```\n' };
+        assert.strictEqual(formatters.markdown.file(withDiff, 0), '## a.js\n\n```javascript\na\n```\n\n````diff\n+```\n````');
+    });
+
+    test('escapes paths and the tree in XML but leaves the contents as they are', () => {
+        const file = { path: 'a<b>&c.js', content: 'if (a < b && c) {}', tokens: 4 };
+        const prompt = formatOutput(formatters.xml, { structure: 'a<b>&c.js\n', files: [file] }, true);
+        assert.strictEqual(prompt, '<directory_structure>\na&lt;b&gt;&amp;c.js\n</directory_structure>\n<documents>\n'
+            + '<document index="1">\n<source>a&lt;b&gt;&amp;c.js</source>\n'
+            + '<document_content>\nif (a < b && c) {}\n</document_content>\n</document>\n</documents>');
+    });
+
+    test('writes JSON that parses back to the files', () => {
+        const parsed = JSON.parse(formatOutput(formatters.json, { structure: 'src/\n', files }, true));
+        assert.strictEqual(parsed.tree, 'src/\n');
+        assert.deepStrictEqual(parsed.files[0], {
+            path: 'src/app.ts',
+            language: 'typescript',
+            tokens: 7,
+            lines: files[0].lines,
+            change: files[0].change,
+            content: files[0].content,
+            diff: files[0].diff,
+            diagnostics: files[0].diagnostics
+        });
+        assert.deepStrictEqual(parsed.files[1], { path: 'README', language: 'text', tokens: 3, content: 'Read me\n' });
+        assert.strictEqual(JSON.parse(formatOutput(formatters.json, { structure: '', files: [] })).tree, undefined);
+    });
+
+    test('names the language after the extension and falls back to plain text', () => {
+        assert.strictEqual(languageForPath('src/App.TSX'), 'tsx');
+        assert.strictEqual(languageForPath('config/app.env'), 'dotenv');
+        assert.strictEqual(languageForPath('build.gradle'), 'gradle');
+        assert.strictEqual(languageForPath('Makefile'), 'text');
+        assert.strictEqual(getFormatter('unknown'), formatters.plain);
+    });
+});
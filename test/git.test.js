@@ -0,0 +1,107 @@
+const assert = require('assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { runGit, getChanges } = require('../src/git');
+const { ingest } = require('../src/engine');
+const { freeEncoders } = require('../src/tokenizer');
+
+// Commits with a fixed identity, so the tests do not depend on the user's config
+const identity = ['-c', 'user.name=VSingest', '-c', 'user.email=vsingest@example.com', '-c', 'commit.gpgsign=false'];
+
+suite('Git modes', () => {
+    let repo;
+    const write = (relativePath, content) => fs.writeFile(path.join(repo, relativePath), content, 'utf-8');
+    const git = (...args) => runGit(repo, args);
+    const commit = async message => {
+        await git('add', '-A');
+        await git(...identity, 'commit', '-q', '-m', message);
+    };
+    const summarize = changes => Object.fromEntries([...changes.files].map(([filePath, change]) =>
+        [filePath.split(path.sep).join('/'), `${change.status} +${change.added} -${change.removed}`]));
+
+    // main: a.txt and b.txt, then m.txt after feature branched off. feature,
+    // checked out: changes a.txt, then adds c.txt. On disk: staged d.txt,
+    // unstaged edit of b.txt, untracked e.txt.
+    suiteSetup(async () => {
+        repo = await fs.mkdtemp(path.join(os.tmpdir(), 'vsingest-git-'));
+        await git('init', '-q', '-b', 'main');
+        await write('a.txt', 'one\n');
+        await write('b.txt', 'two\n');
+        await commit('First');
+        await git('branch', 'feature');
+        await write('m.txt', 'main only\n');
+        await commit('Main only');
+        await git('checkout', '-q', 'feature');
+        await write('a.txt', 'one\nmore\n');
+        await commit('Change a');
+        await write('c.txt', 'three\n');
+        await commit('Add c');
+        await write('d.txt', 'staged\n');
+        await git('add', 'd.txt');
+        await write('b.txt', 'two\nedited\n');
+        await write('e.txt', 'untracked\n');
+    });
+
+    suiteTeardown(async () => {
+        await fs.rm(repo, { recursive: true, force: true });
+        freeEncoders();
+    });
+
+    test('working tree mode lists uncommitted and untracked files', async () => {
+        const changes = await getChanges(repo, { mode: 'workingTree', display: 'full' });
+        assert.deepStrictEqual(summarize(changes), { 'b.txt': 'modified +1 -0', 'd.txt': 'added +1 -0', 'e.txt': 'untracked +0 -0' });
+        assert.match(changes.range, /^[0-9a-f]{7}\.\.working tree$/);
+    });
+
+    test('staged mode lists only the index', async () => {
+        const changes = await getChanges(repo, { mode: 'staged', display: 'diff' });
+        assert.deepStrictEqual(summarize(changes), { 'd.txt': 'added +1 -0' });
+        assert.match(changes.files.get('d.txt').diff, /^diff --git a\/d\.txt b\/d\.txt[\s\S]*\n\+staged$/);
+    });
+
+    test('ref mode compares against the merge base', async () => {
+        const changes = await getChanges(repo, { mode: 'ref', ref: 'main', display: 'full' });
+        assert.deepStrictEqual(summarize(changes), {
+            'a.txt': 'modified +1 -0',
+            'b.txt': 'modified +1 -0',
+            'c.txt': 'added +1 -0',
+            'd.txt': 'added +1 -0'
+        });
+        assert.match(changes.range, /^main \([0-9a-f]{7}\)\.\.working tree$/);
+    });
+
+    test('commits mode lists what the last commits touched', async () => {
+        const one = await getChanges(repo, { mode: 'commits', commits: 1, display: 'full' });
+        assert.deepStrictEqual(summarize(one), { 'c.txt': 'added +1 -0' });
+        const two = await getChanges(repo, { mode: 'commits', commits: 2, display: 'full' });
+        assert.deepStrictEqual(summarize(two), { 'a.txt': 'modified +1 -0', 'c.txt': 'added +1 -0' });
+        assert.match(two.range, /\(2 commits\)$/);
+    });
+
+    test('rejects an unknown ref', async () => {
+        await assert.rejects(getChanges(repo, { mode: 'ref', ref: 'no-such-branch', display: 'full' }), /Unknown git ref 'no-such-branch'/);
+        const data = await ingest([repo], { git: { mode: 'ref', ref: 'no-such-branch', commits: 1, display: 'full' } });
+        assert.strictEqual(data.contents.length, 0);
+        assert.match(data.summary.git.roots[0].error, /Unknown git ref/);
+    });
+
+    test('shows the content, the diff or both', async () => {
+        const fileFor = async display => {
+            const data = await ingest([repo], { git: { mode: 'ref', ref: 'main', commits: 1, display } });
+            return data.contents.find(file => file.path === 'a.txt');
+        };
+        const full = await fileFor('full');
+        assert.strictEqual(full.content, 'one\nmore\n');
+        assert.strictEqual(full.diff, null);
+
+        const diff = await fileFor('diff');
+        assert.strictEqual(diff.content, '');
+        assert.match(diff.diff, /@@ -1 \+1,2 @@\n one\n\+more$/);
+
+        const both = await fileFor('both');
+        assert.strictEqual(both.content, 'one\nmore\n');
+        assert.strictEqual(both.diff, diff.diff);
+        assert.deepStrictEqual(both.change, { status: 'modified', added: 1, removed: 0 });
+    });
+});
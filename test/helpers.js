@@ -0,0 +1,35 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const Module = require('module');
+
+// Writes files, given as { 'posix/relative/path': content }, into a new
+// temporary folder. Returns the folder and a cleanup that removes it.
+async function writeFixture(files = {}, prefix = 'vsingest-test-') {
+    const folder = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    for (const [relativePath, content] of Object.entries(files)) {
+        const fsPath = path.join(folder, ...relativePath.split('/'));
+        await fs.mkdir(path.dirname(fsPath), { recursive: true });
+        await fs.writeFile(fsPath, content, typeof content === 'string' ? 'utf-8' : undefined);
+    }
+    return { folder, cleanup: () => fs.rm(folder, { recursive: true, force: true }) };
+}
+
+// Loads a module that runs in the extension host with `vscode` replaced by
+// the given fake. The module is loaded again on every call.
+function requireWithVscode(modulePath, vscode) {
+    const resolved = require.resolve(modulePath);
+    const load = Module._load;
+    Module._load = function (request, ...rest) {
+        return request === 'vscode' ? vscode : load.call(this, request, ...rest);
+    };
+    delete require.cache[resolved];
+    try {
+        return require(resolved);
+    } finally {
+        Module._load = load;
+        delete require.cache[resolved];
+    }
+}
+
+module.exports = { writeFixture, requireWithVscode };
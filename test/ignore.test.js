@@ -0,0 +1,62 @@
+const assert = require('assert');
+const path = require('path');
+const { IgnoreFilter } = require('../src/ignore');
+const { writeFixture } = require('./helpers');
+
+// Ignore files on disk; the paths being filtered do not need to exist
+const ignoreFiles = {
+    '.gitignore': '# build output\n*.log\n!keep.log\n/build\nout/\ndocs/\n!docs/keep.md\n',
+    'src/.gitignore': 'generated.js\n!debug.log\n/local.js\n',
+    '.vsingestignore': '!build/manifest.json\n!trace.log\n*.snap\n'
+};
+
+suite('Ignore files', () => {
+    let folder;
+    let cleanup;
+
+    suiteSetup(async () => {
+        ({ folder, cleanup } = await writeFixture(ignoreFiles, 'vsingest-ignore-'));
+    });
+
+    suiteTeardown(() => cleanup());
+
+    // The given posix paths that the filter keeps
+    const kept = async (relativePaths, options) => {
+        const filter = new IgnoreFilter(folder, options);
+        const platformPaths = relativePaths.map(relativePath => relativePath.split('/').join(path.sep));
+        return (await filter.filter(platformPaths)).map(relativePath => relativePath.split(path.sep).join('/'));
+    };
+
+    test('matches unanchored patterns at any depth and negates them', async () => {
+        assert.deepStrictEqual(await kept(['app.log', 'lib/deep/app.log', 'keep.log', 'lib/keep.log', 'app.js']),
+            ['keep.log', 'lib/keep.log', 'app.js']);
+    });
+
+    test('matches anchored patterns only next to the ignore file', async () => {
+        assert.deepStrictEqual(await kept(['build/app.js', 'lib/build/app.js', 'src/local.js', 'src/lib/local.js', 'local.js']),
+            ['lib/build/app.js', 'src/lib/local.js', 'local.js']);
+    });
+
+    test('matches directory-only patterns only against directories', async () => {
+        assert.deepStrictEqual(await kept(['out/app.js', 'lib/out/app.js', 'out', 'lib/out']), ['out', 'lib/out']);
+    });
+
+    test('applies nested ignore files relative to their folder and lets them override', async () => {
+        assert.deepStrictEqual(await kept(['src/generated.js', 'src/lib/generated.js', 'generated.js', 'src/debug.log', 'debug.log']),
+            ['generated.js', 'src/debug.log']);
+    });
+
+    test('cannot re-include a file inside an ignored directory', async () => {
+        assert.deepStrictEqual(await kept(['docs/keep.md', 'docs/guide.md', 'build/manifest.json']), []);
+    });
+
+    test('reads .vsingestignore after .gitignore, and only it without gitignore support', async () => {
+        assert.deepStrictEqual(await kept(['a.snap', 'app.log', 'trace.log']), ['trace.log']);
+        assert.deepStrictEqual(await kept(['a.snap', 'app.log', 'build/app.js'], { useGitignore: false }), ['app.log', 'build/app.js']);
+    });
+
+    test('always leaves out version control folders and applies extra patterns', async () => {
+        assert.deepStrictEqual(await kept(['.git/config', 'lib/.hg/store', 'notes.txt', 'todo.txt'], { patterns: ['notes.*'] }),
+            ['todo.txt']);
+    });
+});
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { streamCompletion } = require('../src/llm');
+const { usageCost } = require('../src/models');
+
+// A fetch that answers with the given server-sent events. The stream stays
+// open unless close is set, and records the request and whether the reader
+// cancelled it.
+function fakeFetch(events, { close = true } = {}) {
+    const stream = { cancelled: false, url: null, body: null };
+    const fetch = async (url, init) => {
+        stream.url = url;
+        stream.body = JSON.parse(init.body);
+        return {
+            ok: true,
+            body: new ReadableStream({
+                start(controller) {
+                    events.forEach(([event, data]) => {
+                        controller.enqueue(new TextEncoder().encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+                    });
+                    if (close) {
+                        controller.close();
+                    }
+                },
+                cancel() {
+                    stream.cancelled = true;
+                }
+            })
+        };
+    };
+    return { fetch, stream };
+}
+
+suite('Send', () => {
+    const originalFetch = global.fetch;
+    teardown(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('reports and prices Anthropic cache writes apart from cache reads', async () => {
+        global.fetch = fakeFetch([
+            ['message_start', { type: 'message_start', message: { usage: { input_tokens: 100, cache_read_input_tokens: 1000, cache_creation_input_tokens: 2000, output_tokens: 1 } } }],
+            ['content_block_delta', { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hi' } }],
+            ['message_delta', { type: 'message_delta', usage: { output_tokens: 10 } }]
+        ]).fetch;
+        const result = await streamCompletion({ provider: 'anthropic', model: 'claude-sonnet-4' }, 'prompt', () => {});
+        assert.strictEqual(result.text, 'Hi');
+        assert.deepStrictEqual(result.usage, { inputTokens: 3100, cachedInputTokens: 1000, cacheWriteTokens: 2000, outputTokens: 10 });
+
+        const model = { input: 3, cachedInput: 0.3, cacheWrite: 3.75, output: 15 };
+        const expected = (100 * 3 + 1000 * 0.3 + 2000 * 3.75 + 10 * 15) / 1_000_000;
+        assert.ok(Math.abs(usageCost(model, result.usage) - expected) < 1e-12);
+    });
+
+    test('cancels the stream when the API reports an error', async () => {
+        const { fetch, stream } = fakeFetch([
+            ['error', { type: 'error', error: { message: 'Overloaded' } }]
+        ], { close: false });
+        global.fetch = fetch;
+        await assert.rejects(streamCompletion({ provider: 'anthropic', model: 'claude-sonnet-4' }, 'prompt', () => {}), /Overloaded/);
+        assert.strictEqual(stream.cancelled, true);
+    });
+
+    test('cancels an OpenAI stream that reports an error', async () => {
+        const { fetch, stream } = fakeFetch([
+            ['message', { choices: [{ delta: { content: 'Hal' } }] }],
+            ['message', { error: { message: 'Rate limit reached' } }]
+        ], { close: false });
+        global.fetch = fetch;
+        await assert.rejects(streamCompletion({ provider: 'openai', model: 'gpt-4o' }, 'prompt', () => {}), /Rate limit reached/);
+        assert.strictEqual(stream.cancelled, true);
+    });
+
+    test('streams OpenAI text and maps its usage', async () => {
+        const { fetch, stream } = fakeFetch([
+            ['message', { choices: [{ delta: { role: 'assistant' } }] }],
+            ['message', { choices: [{ delta: { content: 'Hi' } }] }],
+            ['message', { choices: [{ delta: { content: ' there' } }] }],
+            ['message', { choices: [], usage: { prompt_tokens: 1200, completion_tokens: 7, prompt_tokens_details: { cached_tokens: 1024 } } }]
+        ]);
+        global.fetch = fetch;
+        const chunks = [];
+        const result = await streamCompletion({ provider: 'openai', model: 'o3', apiKey: 'key', maxOutputTokens: 4096 }, 'prompt', text => chunks.push(text));
+        assert.deepStrictEqual(chunks, ['Hi', ' there']);
+        assert.strictEqual(result.text, 'Hi there');
+        assert.deepStrictEqual(result.usage, { inputTokens: 1200, cachedInputTokens: 1024, cacheWriteTokens: 0, outputTokens: 7 });
+        assert.strictEqual(stream.url, 'https://api.openai.com/v1/chat/completions');
+        assert.deepStrictEqual(stream.body, {
+            model: 'o3',
+            messages: [{ role: 'user', content: 'prompt' }],
+            max_completion_tokens: 4096,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+    });
+
+    test('sends max_tokens to other OpenAI-compatible servers', async () => {
+        const { fetch, stream } = fakeFetch([]);
+        global.fetch = fetch;
+        await streamCompletion({ provider: 'openai', baseUrl: 'http://localhost:11434/v1/', model: 'llama3', maxOutputTokens: 512 }, 'prompt', () => {});
+        assert.strictEqual(stream.url, 'http://localhost:11434/v1/chat/completions');
+        assert.strictEqual(stream.body.max_tokens, 512);
+        assert.strictEqual(stream.body.max_completion_tokens, undefined);
+    });
+});
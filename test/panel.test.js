@@ -0,0 +1,140 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const { writeFixture, requireWithVscode } = require('./helpers');
+
+// The webview script and the message handler in the extension, read as text
+// to check that both sides name the same elements and commands
+const panelScript = fs.readFileSync(path.join(__dirname, '..', 'media', 'panel.js'), 'utf-8');
+const extensionSource = fs.readFileSync(path.join(__dirname, '..', 'src', 'extension.js'), 'utf-8');
+const matches = (text, regex) => [...new Set([...text.matchAll(regex)].map(match => match[1]))];
+
+// Only shown with profiles or several workspace folders; the script checks for them
+const optionalElements = ['profileSelector', 'rootSelector'];
+
+// Messages from the extension that the script's message listener handles
+const panelHandles = command => matches(panelScript, /message\.command === '(\w+)'/g).includes(command)
+    || matches(panelScript, /message\.command\.startsWith\('(\w+)'\)/g).some(prefix => command.startsWith(prefix));
+
+// The parts of the vscode API the panel uses, with the workspace at root
+function fakeVscode(root) {
+    const file = fsPath => ({ fsPath, scheme: 'file' });
+    const fake = {
+        clipboard: [],
+        errors: [],
+        Uri: { file, joinPath: (base, ...parts) => file(path.join(base.fsPath, ...parts)) },
+        RelativePattern: class {
+            constructor(base, pattern) {
+                this.base = base;
+                this.pattern = pattern;
+            }
+        },
+        DiagnosticSeverity: { Error: 0, Warning: 1 },
+        ConfigurationTarget: { Global: 1, Workspace: 2 },
+        workspace: {
+            workspaceFolders: [{ name: 'project', uri: file(root) }],
+            textDocuments: [],
+            getConfiguration: () => ({ get: (key, defaultValue) => defaultValue, update: async () => {} }),
+            findFiles: async pattern => fs.readdirSync(pattern.base.fsPath, { recursive: true })
+                .map(relativePath => path.join(pattern.base.fsPath, relativePath))
+                .filter(fsPath => fs.statSync(fsPath).isFile())
+                .map(file)
+        },
+        window: {
+            tabGroups: { all: [] },
+            showErrorMessage: message => { fake.errors.push(message); }
+        },
+        env: {
+            clipboard: { writeText: async text => { fake.clipboard.push(text); } }
+        }
+    };
+    return fake;
+}
+
+suite('Panel', () => {
+    let cleanup;
+    let vscode;
+    let view;
+    let posted;
+    let receive;
+    let failStateUpdates;
+
+    setup(async () => {
+        let folder;
+        ({ folder, cleanup } = await writeFixture({ 'src/app.js': 'const app = 1;\n', 'README.md': '# App\n' }, 'vsingest-panel-'));
+        vscode = fakeVscode(folder);
+        const { ViewProvider } = requireWithVscode('../src/extension', vscode);
+        const state = new Map();
+        failStateUpdates = false;
+        const context = {
+            extensionUri: vscode.Uri.file(path.join(folder, 'extension')),
+            workspaceState: {
+                get: (key, defaultValue) => (state.has(key) ? state.get(key) : defaultValue),
+                update: async (key, value) => {
+                    if (failStateUpdates) {
+                        throw new Error('Workspace state is read-only');
+                    }
+                    state.set(key, value);
+                }
+            },
+            secrets: {}
+        };
+        posted = [];
+        view = {
+            visible: true,
+            onDidChangeVisibility: () => {},
+            webview: {
+                cspSource: 'vscode-resource:',
+                asWebviewUri: uri => uri.fsPath,
+                postMessage: message => { posted.push(message); },
+                onDidReceiveMessage: listener => { receive = listener; }
+            }
+        };
+        await new ViewProvider(context, null, null).resolveWebviewView(view);
+    });
+
+    teardown(() => cleanup());
+
+    test('renders every element the panel script looks up', () => {
+        const { html } = view.webview;
+        matches(panelScript, /getElementById\('(\w+)'\)/g)
+            .filter(id => !optionalElements.includes(id))
+            .forEach(id => assert.ok(html.includes(`id="${id}"`), id));
+        assert.match(html, /<script nonce="[^"]+" src="[^"]*panel\.js"><\/script>/);
+        assert.doesNotMatch(html, /\son[a-z]+="/);
+    });
+
+    test('handles every command the panel script posts', () => {
+        const handled = matches(extensionSource, /case '(\w+)':/g);
+        const commands = [
+            ...matches(panelScript, /command: '(\w+)'/g),
+            ...matches(view.webview.html, /data-command="(\w+)"/g)
+        ];
+        assert.ok(commands.includes('copy'));
+        commands.forEach(command => assert.ok(handled.includes(command), command));
+    });
+
+    test('answers copies, format changes and filters with messages the panel script handles', async () => {
+        await receive({ command: 'copy', target: 'structure' });
+        assert.match(vscode.clipboard[0], /app\.js/);
+        assert.deepStrictEqual(posted[0], { command: 'copied', target: 'structure' });
+
+        await receive({ command: 'selectFormat', format: 'xml' });
+        assert.strictEqual(posted[1].command, 'update');
+        assert.match(posted[1].contents, /&lt;source&gt;src[/\\]app\.js&lt;\/source&gt;/);
+
+        await receive({ command: 'setFilter', filter: { mode: 'content', pattern: '(', only: false } });
+        assert.strictEqual(posted[2].command, 'filterError');
+
+        posted.forEach(message => assert.ok(panelHandles(message.command), message.command));
+        assert.ok(panelHandles('responseText'));
+    });
+
+    test('shows failed actions in the panel', async () => {
+        failStateUpdates = true;
+        await receive({ command: 'selectTemplate', template: 'codeReview' });
+        assert.deepStrictEqual(posted, [{ command: 'actionError', message: 'Workspace state is read-only' }]);
+        assert.ok(panelHandles('actionError'));
+        assert.deepStrictEqual(vscode.errors, []);
+    });
+});
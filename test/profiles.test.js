@@ -0,0 +1,88 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs').promises;
+const { profilesPath, profileError, readProfiles } = require('../src/profiles');
+const { parseArgs } = require('../src/cli');
+const { writeFixture } = require('./helpers');
+
+const profiles = {
+    backend: {
+        include: ['server/**', '', 3],
+        exclude: ['**/*.test.*'],
+        format: 'xml',
+        model: 'claude-sonnet-4',
+        budget: 100000,
+        template: 'codeReview'
+    },
+    loose: { include: 'src/**', budget: -5, format: '', extra: true },
+    custom: { format: 'custom' },
+    broken: 'not a profile'
+};
+
+suite('Profiles', () => {
+    let folder;
+    let cleanup;
+    const writeProfiles = async text => {
+        await fs.mkdir(path.join(folder, path.dirname(profilesPath)), { recursive: true });
+        await fs.writeFile(path.join(folder, profilesPath), text, 'utf-8');
+    };
+
+    setup(async () => {
+        ({ folder, cleanup } = await writeFixture({}, 'vsingest-profiles-'));
+    });
+
+    teardown(() => cleanup());
+
+    test('reads no profiles and no error without a profiles file', () => {
+        assert.deepStrictEqual(readProfiles(folder), { profiles: {}, error: null });
+    });
+
+    test('reports a broken profiles file', async () => {
+        await writeProfiles('{ "backend": ');
+        const broken = readProfiles(folder);
+        assert.deepStrictEqual(broken.profiles, {});
+        assert.match(broken.error, /profiles\.json: /);
+
+        await writeProfiles('["backend"]');
+        assert.match(readProfiles(folder).error, /should map profile names to profiles/);
+    });
+
+    test('keeps the known fields with the right types', async () => {
+        await writeProfiles(JSON.stringify(profiles));
+        const read = readProfiles(folder).profiles;
+        assert.deepStrictEqual(Object.keys(read), ['backend', 'loose', 'custom']);
+        assert.deepStrictEqual(read.backend, { name: 'backend', ...profiles.backend, include: ['server/**'] });
+        assert.deepStrictEqual(read.loose, { name: 'loose', include: [], exclude: [], format: null, model: null, budget: null, template: null });
+    });
+
+    test('rejects formats a profile cannot use', async () => {
+        await writeProfiles(JSON.stringify(profiles));
+        const read = readProfiles(folder).profiles;
+        assert.strictEqual(profileError(read.backend), null);
+        assert.strictEqual(profileError(read.loose), null);
+        assert.match(profileError(read.custom), /unknown format "custom"/);
+    });
+
+    test('lets the command line override a profile and adds up the globs', async () => {
+        await writeProfiles(JSON.stringify(profiles));
+        const fromProfile = parseArgs([folder, '--profile', 'backend']).options;
+        assert.strictEqual(fromProfile.format, 'xml');
+        assert.strictEqual(fromProfile.model, 'claude-sonnet-4');
+        assert.deepStrictEqual(fromProfile.budget, { maxTokens: 100000 });
+        assert.strictEqual(fromProfile.template, 'codeReview');
+        assert.deepStrictEqual(fromProfile.includeGlobs, ['server/**']);
+
+        const overridden = parseArgs([folder, '-p', 'backend', '--format', 'json', '--budget', '8000', '--include', 'shared/**', '--exclude', 'dist/']).options;
+        assert.strictEqual(overridden.format, 'json');
+        assert.deepStrictEqual(overridden.budget, { maxTokens: 8000 });
+        assert.deepStrictEqual(overridden.includeGlobs, ['server/**', 'shared/**']);
+        assert.deepStrictEqual(overridden.exclude, ['**/*.test.*', 'dist/']);
+    });
+
+    test('fails on a missing or invalid profile on the command line', async () => {
+        assert.throws(() => parseArgs([folder, '--profile', 'backend']), /No profile "backend"/);
+        await writeProfiles(JSON.stringify(profiles));
+        assert.throws(() => parseArgs([folder, '--profile', 'frontend']), /expected one of backend, loose, custom/);
+        assert.throws(() => parseArgs([folder, '--profile', 'custom']), /unknown format "custom"/);
+    });
+});
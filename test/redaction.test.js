@@ -0,0 +1,25 @@
+const assert = require('assert');
+const { Redactor } = require('../src/redaction');
+
+suite('Redaction', () => {
+    test('redacts custom rules and keeps allowed values', () => {
+        const redactor = new Redactor({
+            customRules: [{ id: 'host', pattern: '[a-z]+\\.corp\\.example' }],
+            allow: ['^docs\\.']
+        });
+        const { content, findings } = redactor.redact('api.corp.example and docs.corp.example');
+        assert.strictEqual(content, '[REDACTED:host] and docs.corp.example');
+        assert.deepStrictEqual(findings, [{ rule: 'host', line: 1 }]);
+    });
+
+    test('skips invalid patterns and names them in errors', () => {
+        const redactor = new Redactor({
+            customRules: [{ id: 'broken', pattern: '(oops' }, { id: 'host', pattern: 'corp' }],
+            allow: ['[a-']
+        });
+        assert.strictEqual(redactor.errors.length, 2);
+        assert.match(redactor.errors[0], /^custom rule "broken": /);
+        assert.match(redactor.errors[1], /^allow pattern "\[a-": /);
+        assert.strictEqual(redactor.redact('corp').content, '[REDACTED:host]');
+    });
+});
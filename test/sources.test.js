@@ -0,0 +1,115 @@
+const assert = require('assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { pathToFileURL } = require('url');
+const { runGit } = require('../src/git');
+const { normalizeSubdir, parseGitSource, repositoryName, cloneRepository, removeClone } = require('../src/sources');
+
+const identity = ['-c', 'user.name=VSingest', '-c', 'user.email=vsingest@example.com', '-c', 'commit.gpgsign=false'];
+
+suite('Git sources', () => {
+    test('parses URLs, web URLs of folders and absolute paths', () => {
+        assert.deepStrictEqual(parseGitSource(' https://github.com/owner/repo.git '),
+            { url: 'https://github.com/owner/repo.git', branch: '', subdir: '' });
+        assert.deepStrictEqual(parseGitSource('https://github.com/owner/repo/tree/dev/src/lib/'),
+            { url: 'https://github.com/owner/repo', branch: 'dev', subdir: 'src/lib' });
+        assert.deepStrictEqual(parseGitSource('https://gitlab.com/group/repo/-/tree/main'),
+            { url: 'https://gitlab.com/group/repo', branch: 'main', subdir: '' });
+        assert.strictEqual(parseGitSource('git@github.com:owner/repo.git').url, 'git@github.com:owner/repo.git');
+        const absolute = path.resolve('/srv/repo');
+        assert.strictEqual(parseGitSource(absolute).url, pathToFileURL(absolute).href);
+    });
+
+    test('rejects relative paths and subfolders outside the repository', () => {
+        assert.throws(() => parseGitSource('repo'), /neither a URL nor an absolute path/);
+        assert.throws(() => parseGitSource('./repo'), /neither a URL nor an absolute path/);
+        assert.throws(() => normalizeSubdir('src/../../etc'), /outside the repository/);
+        assert.strictEqual(normalizeSubdir('\\src\\./lib/'), 'src/lib');
+    });
+
+    test('names a repository after its URL', () => {
+        assert.strictEqual(repositoryName('https://github.com/owner/vsingest.git'), 'vsingest');
+        assert.strictEqual(repositoryName('git@github.com:owner/tools'), 'tools');
+    });
+
+    suite('cloning', () => {
+        let temp;
+        let url;
+        let cacheRoot;
+
+        // A local repository with a second branch and two subfolders, cloned
+        // through a file:// URL so no network is needed
+        suiteSetup(async () => {
+            temp = await fs.mkdtemp(path.join(os.tmpdir(), 'vsingest-sources-'));
+            const origin = path.join(temp, 'origin');
+            await fs.mkdir(path.join(origin, 'lib'), { recursive: true });
+            await fs.mkdir(path.join(origin, 'docs'), { recursive: true });
+            await fs.writeFile(path.join(origin, 'README.md'), '# Origin\n');
+            await fs.writeFile(path.join(origin, 'docs', 'guide.md'), '# Guide\n');
+            await fs.writeFile(path.join(origin, 'lib', 'index.js'), 'module.exports = 1;\n');
+            await runGit(origin, ['init', '-q', '-b', 'main']);
+            await runGit(origin, ['add', '-A']);
+            await runGit(origin, [...identity, 'commit', '-q', '-m', 'First']);
+            await runGit(origin, ['checkout', '-q', '-b', 'dev']);
+            await fs.writeFile(path.join(origin, 'lib', 'dev.js'), 'module.exports = 2;\n');
+            await runGit(origin, ['add', '-A']);
+            await runGit(origin, [...identity, 'commit', '-q', '-m', 'Dev']);
+            await runGit(origin, ['checkout', '-q', 'main']);
+            url = pathToFileURL(origin).href;
+            cacheRoot = path.join(temp, 'clones');
+        });
+
+        suiteTeardown(async () => {
+            await fs.rm(temp, { recursive: true, force: true });
+        });
+
+        const cacheEntries = async () => (await fs.readdir(cacheRoot).catch(() => [])).sort();
+
+        test('clones shallowly and reuses the clone', async () => {
+            const source = parseGitSource(url.replace(/^file:\/\//, ''));
+            const folder = await cloneRepository(source, { cacheRoot });
+            assert.deepStrictEqual((await fs.readdir(folder)).sort(), ['.git', 'README.md', 'docs', 'lib']);
+            const depth = (await runGit(folder, ['rev-list', '--count', 'HEAD'])).trim();
+            assert.strictEqual(depth, '1');
+
+            await fs.writeFile(path.join(folder, 'marker'), '');
+            assert.strictEqual(await cloneRepository(source, { cacheRoot }), folder);
+            assert.ok((await fs.readdir(folder)).includes('marker'));
+            const refreshed = await cloneRepository(source, { cacheRoot, refresh: true });
+            assert.ok(!(await fs.readdir(refreshed)).includes('marker'));
+
+            await removeClone(source, cacheRoot);
+            assert.deepStrictEqual(await cacheEntries(), []);
+        });
+
+        test('checks out only the subfolder of a branch', async () => {
+            const source = { url, branch: 'dev', subdir: 'lib' };
+            const folder = await cloneRepository(source, { cacheRoot });
+            assert.strictEqual(path.basename(folder), 'lib');
+            assert.deepStrictEqual((await fs.readdir(folder)).sort(), ['dev.js', 'index.js']);
+            // Sparse checkouts keep the files at the top, but no other folder
+            assert.ok(!(await fs.readdir(path.dirname(folder))).includes('docs'));
+            await removeClone(source, cacheRoot);
+        });
+
+        test('leaves nothing behind when cloning fails', async () => {
+            await assert.rejects(cloneRepository({ url, branch: 'no-such-branch', subdir: '' }, { cacheRoot }));
+            await assert.rejects(cloneRepository({ url, branch: '', subdir: 'missing' }, { cacheRoot }), /There is no folder missing/);
+            assert.deepStrictEqual(await cacheEntries(), []);
+        });
+
+        test('keeps the existing clone when cloning again fails', async () => {
+            const source = { url, branch: '', subdir: '' };
+            const folder = await cloneRepository(source, { cacheRoot });
+            await fs.rename(path.join(temp, 'origin'), path.join(temp, 'moved'));
+            try {
+                await assert.rejects(cloneRepository(source, { cacheRoot, refresh: true }));
+                assert.ok((await fs.readdir(folder)).includes('README.md'));
+                assert.deepStrictEqual(await cacheEntries(), [path.basename(folder)]);
+            } finally {
+                await fs.rename(path.join(temp, 'moved'), path.join(temp, 'origin'));
+            }
+        });
+    });
+});
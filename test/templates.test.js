@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { getTemplates, renderTemplate, usesVariable } = require('../src/templates');
+
+const template = text => ({ template: text });
+
+suite('Prompt templates', () => {
+    test('leaves unknown placeholders as they are', () => {
+        assert.strictEqual(renderTemplate(template('Hi {{name}}, see {{ tree }}'), { tree: 'a/' }), 'Hi {{name}}, see a/\n');
+    });
+
+    test('removes empty values with the blank lines around them', () => {
+        const text = '{{selection}}\n\nTask: {{ userQuestion }} now.\n\n{{diagnostics}}\n\n\nTree:\n{{tree}}\n\n{{files}}';
+        assert.strictEqual(renderTemplate(template(text), { tree: 'a/\n', files: 'x', userQuestion: '  ', selection: '' }),
+            'Task: now.\n\nTree:\na/\n\nx\n');
+        assert.strictEqual(renderTemplate(template('{{selection}}\n\n{{diagnostics}}'), {}), '\n');
+    });
+
+    test('keeps the files exactly as they are', () => {
+        const files = 'def a():\n    pass\n\n\n\ndef b():\n    pass\n\n';
+        assert.strictEqual(renderTemplate(template('Files:\n\n{{files}}'), { files }), `Files:\n\n${files}`);
+        // A NUL in the files is not taken for an empty value
+        assert.strictEqual(renderTemplate(template('{{files}}\n\n{{tree}}'), { files: 'a\u0000\n\n\u0000b', tree: '' }), 'a\u0000\n\n\u0000b\n');
+    });
+
+    test('merges custom templates over the built-in ones', () => {
+        const templates = getTemplates({ codeReview: 'Review {{files}}', mine: { label: 'Mine', template: '{{files}}' }, broken: { label: 'Broken' } });
+        assert.strictEqual(templates.codeReview.label, 'Code Review');
+        assert.strictEqual(templates.codeReview.template, 'Review {{files}}');
+        assert.strictEqual(templates.mine.label, 'Mine');
+        assert.strictEqual(templates.broken, undefined);
+        assert.ok(usesVariable(templates.findBugs, 'diagnostics'));
+        assert.ok(!usesVariable(templates.mine, 'tree'));
+    });
+});
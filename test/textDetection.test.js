@@ -0,0 +1,70 @@
+const assert = require('assert');
+const path = require('path');
+const { FileClassifier, isBinary, decodeText } = require('../src/textDetection');
+const { FileCache } = require('../src/fileCache');
+const { writeFixture } = require('./helpers');
+
+const utf16 = (text, bigEndian) => {
+    const body = Buffer.from(text, 'utf16le');
+    if (bigEndian) {
+        body.swap16();
+    }
+    return Buffer.concat([Buffer.from(bigEndian ? [0xfe, 0xff] : [0xff, 0xfe]), body]);
+};
+
+suite('Text detection', () => {
+    test('reads UTF-8 as text and drops its byte order mark', () => {
+        const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('const café = 1;\n')]);
+        assert.strictEqual(isBinary(buffer), false);
+        assert.strictEqual(decodeText(buffer), 'const café = 1;\n');
+        assert.strictEqual(isBinary(Buffer.alloc(0)), false);
+    });
+
+    test('reads UTF-16 with a byte order mark as text', () => {
+        for (const bigEndian of [false, true]) {
+            const buffer = utf16('Name=VSingest\r\n', bigEndian);
+            assert.strictEqual(isBinary(buffer), false);
+            assert.strictEqual(decodeText(buffer), 'Name=VSingest\r\n');
+        }
+        // An odd number of bytes cannot be UTF-16
+        assert.strictEqual(isBinary(Buffer.concat([utf16('ab', false), Buffer.from([0x41])])), true);
+    });
+
+    test('treats NUL bytes near the start as binary', () => {
+        assert.strictEqual(isBinary(Buffer.from('text\0more text')), true);
+        // Only the first 8000 bytes are searched
+        assert.strictEqual(isBinary(Buffer.concat([Buffer.alloc(8000, 'a'), Buffer.from([0])])), false);
+    });
+
+    test('treats binary signatures and invalid UTF-8 as binary', () => {
+        assert.strictEqual(isBinary(Buffer.from([0x25, 0x50, 0x44, 0x46, 0x2d, 0x31, 0x2e, 0x37])), true);
+        assert.strictEqual(isBinary(Buffer.from([0x61, 0xc3, 0x28, 0x62])), true);
+        assert.strictEqual(decodeText(Buffer.from([0x61, 0xff, 0x62])), 'a\uFFFDb');
+    });
+
+    test('classifies paths by the skip and text lists, known names and binary extensions', () => {
+        const classifier = new FileClassifier({ text: ['.dat', 'fixtures/**/*.bin'], skip: ['.lock', '**/*.min.js'] });
+        assert.strictEqual(classifier.classify('yarn.lock'), 'excluded');
+        assert.strictEqual(classifier.classify(path.join('dist', 'app.min.js')), 'excluded');
+        assert.strictEqual(classifier.classify('table.DAT'), 'text');
+        assert.strictEqual(classifier.classify(path.join('fixtures', 'a', 'dump.bin')), 'text');
+        assert.strictEqual(classifier.classify(path.join('docker', 'Dockerfile')), 'text');
+        assert.strictEqual(classifier.classify('dump.bin'), 'binary');
+        assert.strictEqual(classifier.classify('logo.png'), 'binary');
+        assert.strictEqual(classifier.classify('notes.unknown'), null);
+    });
+
+    test('skips files over the size limit without reading them', async () => {
+        const { folder, cleanup } = await writeFixture({ 'large.txt': 'x'.repeat(3 * 1024) }, 'vsingest-text-');
+        try {
+            const fsPath = path.join(folder, 'large.txt');
+            const { maxFileSize } = new FileClassifier({ maxFileSizeKB: 2 });
+            assert.strictEqual(maxFileSize, 2048);
+            const cache = new FileCache();
+            assert.strictEqual((await cache.read(fsPath, { maxSize: maxFileSize })).entry, null);
+            assert.strictEqual((await cache.read(fsPath, { maxSize: 0 })).entry.content.length, 3 * 1024);
+        } finally {
+            await cleanup();
+        }
+    });
+});
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { getEncodingInfo, setCustomEncodings, countTokens, truncateToTokens, freeEncoders } = require('../src/tokenizer');
+const { defaultModels } = require('../src/models');
+
+const sample = 'function add(a, b) {\n    return a + b; // sum\n}\n\nmodule.exports = { add };\n'.repeat(20);
+
+suite('Tokenizer', () => {
+    suiteTeardown(() => {
+        freeEncoders();
+    });
+
+    test('picks the encoding of each model family', () => {
+        const expected = {
+            'gpt-4': ['cl100k_base', 1, true],
+            'gpt-4-turbo': ['cl100k_base', 1, true],
+            'gpt-3.5-turbo': ['cl100k_base', 1, true],
+            'gpt-4o': ['o200k_base', 1, true],
+            'gpt-4.1-mini': ['o200k_base', 1, true],
+            'gpt-4.5-preview': ['o200k_base', 1, true],
+            'openai-o1': ['o200k_base', 1, true],
+            'o3': ['o200k_base', 1, true],
+            'o4-mini': ['o200k_base', 1, true],
+            'claude-sonnet-4': ['cl100k_base', 1.15, false],
+            'claude-3-haiku': ['cl100k_base', 1.15, false],
+            'gemini-2.5-pro': ['o200k_base', 1.05, false],
+            'llama-3-70b': ['o200k_base', 1, false]
+        };
+        Object.entries(expected).forEach(([model, [encoding, scale, exact]]) => {
+            assert.deepStrictEqual(getEncodingInfo(model), { encoding, scale, exact }, model);
+        });
+        assert.deepStrictEqual(getEncodingInfo(null), { encoding: 'o200k_base', scale: 1, exact: true });
+    });
+
+    test('knows the encoding of every built-in model', () => {
+        Object.keys(defaultModels).forEach(model => {
+            const { encoding, exact } = getEncodingInfo(model);
+            assert.ok(['o200k_base', 'cl100k_base'].includes(encoding), model);
+            assert.strictEqual(exact, !/^(claude|gemini)-/.test(model), model);
+        });
+    });
+
+    test('scales Claude and Gemini counts', () => {
+        const cl100k = countTokens(sample, 'gpt-4-turbo');
+        const o200k = countTokens(sample, 'gpt-4o');
+        assert.notStrictEqual(cl100k, 0);
+        assert.strictEqual(countTokens(sample, 'claude-3-haiku'), Math.ceil(cl100k * 1.15));
+        assert.strictEqual(countTokens(sample, 'gemini-pro'), Math.ceil(o200k * 1.05));
+        assert.strictEqual(countTokens('', 'claude-3-haiku'), 0);
+    });
+
+    test('keeps a truncated text within the scaled count', () => {
+        const cut = truncateToTokens(sample, 100, 'claude-3-haiku');
+        assert.ok(cut.length < sample.length);
+        assert.ok(countTokens(cut, 'claude-3-haiku') <= 100);
+        assert.ok(sample.startsWith(cut));
+    });
+
+    test('lets custom models name their encoding and scale', () => {
+        try {
+            setCustomEncodings({
+                'claude-sonnet-4': { encoding: 'o200k_base', exact: true },
+                'gpt-4o': { encoding: 'o200k_base' },
+                'local-model': { encoding: 'cl100k_base', tokenScale: 1.3 },
+                'bad-model': { encoding: 'p50k_base' }
+            });
+            assert.deepStrictEqual(getEncodingInfo('claude-sonnet-4'), { encoding: 'o200k_base', scale: 1, exact: true });
+            assert.deepStrictEqual(getEncodingInfo('gpt-4o'), { encoding: 'o200k_base', scale: 1, exact: false });
+            assert.deepStrictEqual(getEncodingInfo('local-model'), { encoding: 'cl100k_base', scale: 1.3, exact: false });
+            assert.deepStrictEqual(getEncodingInfo('bad-model'), { encoding: 'o200k_base', scale: 1, exact: false });
+            assert.strictEqual(countTokens(sample, 'local-model'), Math.ceil(countTokens(sample, 'gpt-4-turbo') * 1.3));
+        } finally {
+            setCustomEncodings({});
+        }
+        assert.strictEqual(getEncodingInfo('claude-sonnet-4').scale, 1.15);
+    });
+});